@@ -4,19 +4,55 @@
  * ✅ Production logging template (requestId, event summary, timing, structured error)
  * ✅ Stable webhook (no dropped events, per-event isolation, dedupe, safe reply/push)
  * ✅ Render sleep mitigation (keepalive ping + external ping suggestion)
- * ✅ Support image + video + file
- * ✅ Split folders by type: .../<source>/<sender>/<images|videos|files>/<file>
+ * ✅ Support image + video + audio (voice notes) + file
+ * ✅ Split folders by type: .../<source>/<sender>/<images|videos|audios|files>/<file>
  * ✅ Video size limit (skip if too large)
  * ✅ File size limit (skip if too large)
+ * ✅ Durable upload queue (data/jobs.jsonl): resumed on boot, retried with backoff
+ * ✅ Rotated MS refresh token persisted (encrypted data/ms_token.enc), access token cached
+ * ✅ Uploads read chunks from disk (memory stays flat → MAX_VIDEO_MB/MAX_FILE_MB can be raised)
+ * ✅ Large uploads resume their Graph upload session after restart/network drop
+ * ✅ Storage adapters (ensureFolder/put/stat/link): sharepoint | onedrive | local (disk/NAS) | s3 (AWS/MinIO) | webdav (Nextcloud)
+ * ✅ Mirror uploads: STORAGE_MODE=sharepoint,local (per-destination status, failed ones retried alone)
+ * ✅ SHA-256 dedupe across chats (data/hashes.jsonl, DEDUPE_POLICY=skip|link|flag|off,
+ *    entries kept DEDUPE_KEEP_DAYS)
+ * ✅ Near-duplicate images by dHash (PHASH_THRESHOLD, optional PHASH_SKIP)
+ * ✅ Media metadata (capture time, camera, size, GPS, video duration) in the job record,
+ *    optional <file>.json sidecar (METADATA_SIDECAR=1) and GPS removal (STRIP_GPS=1)
+ * ✅ Thumbnail + preview per image/video (poster frame via ffmpeg) under <root>/thumbs/...
+ * ✅ Multi-photo sends (imageSet): one notification per album, optional album_<id> subfolder
+ * ✅ Captions: a text quoting (or right after) a photo/video/file -> caption + #tags,
+ *    written to the Graph driveItem description (CAPTION_WINDOW_SEC)
+ * ✅ SharePoint library columns (SP_LIST_FIELDS / SP_LIST_FIELDS_FILE): sender, group,
+ *    source type, sent time, messageId, tags ... set on the uploaded item's listItem
+ * ✅ Opt-in chat transcript (TRANSCRIPT_ENABLED=1): text/sticker/location + media links,
+ *    per day as JSONL/CSV/Markdown in <root>/<source>/transcript/
+ * ✅ Upload catalog (data/catalog.jsonl) + GET /api/uploads (API_TOKEN): filter by group,
+ *    sender, type, status, date range, text; paginated
+ * ✅ Web gallery /gallery (GALLERY_PASSWORD): chats -> senders -> media with thumbnails,
+ *    date/type filters, originals served from the storage that holds them
+ * ✅ Admin dashboard /admin (ADMIN_PASSWORD): queue, in-flight uploads, recent failures,
+ *    today's counts per chat, HTTP retry counters, token state, temp disk usage
+ * ✅ Opt-in Prometheus /metrics (METRICS_ENABLED=1, METRICS_TOKEN optional): webhook events,
+ *    bytes in/out, upload latency, retries, limiter depth, admin notify failures
+ * ✅ /images links in notifications are per-file HMAC-signed and expire (IMAGE_URL_TTL_SEC,
+ *    optional IMAGE_URL_SINGLE_USE=1); IMAGE_VIEW_TOKEN only kept for old links
  *
- * ✅ STRUCTURE (NO day):
+ * ✅ STRUCTURE (default NO day, configurable):
  *   Root: ONEDRIVE_BASE_PATH=SavePhotoBotUser (default)
- *   Path: <root>/<sourceFolder>/<senderFolder>/<images|videos|files>/<file>
+ *   Path: <root>/<sourceFolder>/<senderFolder>/<images|videos|audios|files>/<file>
+ *   FOLDER_TEMPLATE="{source}/{yyyy}/{mm}/{sender}/{type}" for date buckets,
+ *   FOLDER_TEMPLATE_OVERRIDES='{"C<groupId>":"..."}' per group/room/"private"
  *
  * ✅ FILE NAMING (pretty):
  *   Image: YYYY-MM-DD_HH-mm-ss_IMG_<shortId>.jpg
  *   Video: YYYY-MM-DD_HH-mm-ss_VID_<shortId>.mp4
  *   File : YYYY-MM-DD_HH-mm-ss_FILE_<shortId>_<originalName>.pdf (trim if too long)
+ *   FILENAME_TEMPLATE="{sender}_{yyyy}{mm}{dd}_{label}_{shortId}_{original}" (ext appended,
+ *   an empty token drops its separator)
+ *   Same name in the folder: UPLOAD_CONFLICT=rename (name_1.jpg) | fail | replace
+ *   Date/time = when the message was sent (event.timestamp) in TIMEZONE (default Asia/Bangkok),
+ *   NAME_TIME_SOURCE=exif uses the photo's capture time when it has one
  *
  * Notes:
  * - LINE middleware requires raw body verification; keep `line.middleware(config)` as-is.
@@ -30,6 +66,8 @@ const line = require("@line/bot-sdk");
 const fs = require("fs");
 const path = require("path");
 const crypto = require("crypto");
+const { execFile } = require("child_process");
+const { Readable, pipeline } = require("stream");
 
 const app = express();
 
@@ -38,8 +76,23 @@ const LINE_ACCESS_TOKEN = process.env.LINE_ACCESS_TOKEN;
 const LINE_CHANNEL_SECRET = process.env.LINE_CHANNEL_SECRET;
 const ADMIN_USER_ID = process.env.ADMIN_USER_ID; // can be Uxxx or Cxxx or Rxxx
 
-// Optional: protect /images viewing route
+// /images links: per-file signed + expiring (IMAGE_VIEW_TOKEN = legacy static token)
 const IMAGE_VIEW_TOKEN = process.env.IMAGE_VIEW_TOKEN || "";
+const IMAGE_URL_SECRET = process.env.IMAGE_URL_SECRET || ""; // empty = random key in DATA_DIR
+const IMAGE_URL_TTL_SEC = Math.max(60, Number(process.env.IMAGE_URL_TTL_SEC || 24 * 60 * 60));
+const IMAGE_URL_SINGLE_USE = (process.env.IMAGE_URL_SINGLE_USE || "0") === "1";
+
+// Bearer token for /api/* (catalog queries); empty = API off
+const API_TOKEN = process.env.API_TOKEN || "";
+
+// Browser pages (/login): gallery viewers / admins; empty = page off
+const GALLERY_PASSWORD = process.env.GALLERY_PASSWORD || "";
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || ""; // /admin dashboard (+ gallery)
+
+// Prometheus scrape endpoint /metrics (off unless enabled); optional bearer token
+const METRICS_ENABLED = (process.env.METRICS_ENABLED || "0") === "1";
+const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
+const GALLERY_SESSION_HOURS = Math.max(1, Number(process.env.GALLERY_SESSION_HOURS || 12));
 
 // Microsoft Graph
 const MS_TENANT = process.env.MS_TENANT;
@@ -50,16 +103,63 @@ const MS_SCOPES =
   "offline_access User.Read Files.ReadWrite.All Sites.ReadWrite.All";
 
 // Storage selection
-const STORAGE_MODE = (process.env.STORAGE_MODE || "sharepoint").toLowerCase(); // sharepoint | onedrive
+// sharepoint | onedrive | local | s3 | webdav; comma list mirrors to several, e.g. "sharepoint,local"
+const STORAGE_MODE = (process.env.STORAGE_MODE || "sharepoint").toLowerCase();
+const STORAGE_MODES = [
+  ...new Set(STORAGE_MODE.split(",").map((m) => m.trim()).filter(Boolean)),
+];
 
-// ✅ Default root changed to SavePhotoBotUser
+// ✅ Default root changed to SavePhotoBotUser (root folder for every storage mode)
 const ONEDRIVE_BASE_PATH = process.env.ONEDRIVE_BASE_PATH || "SavePhotoBotUser";
 
+// Folder layout below the root (tokens: see "Path templates"); default = no day folder
+const FOLDER_TEMPLATE = (process.env.FOLDER_TEMPLATE || "{source}/{sender}/{type}").trim();
+// JSON: { "<groupId|roomId|private>": "<template>" }
+const FOLDER_TEMPLATE_OVERRIDES_RAW = process.env.FOLDER_TEMPLATE_OVERRIDES || "";
+// File name without extension; folder tokens + {label} {original}
+const FILENAME_TEMPLATE = (
+  process.env.FILENAME_TEMPLATE ||
+  "{yyyy}-{mm}-{dd}_{hh}-{mi}-{ss}_{label}_{shortId}_{original}"
+).trim();
+// Same name already in the folder: rename (add _1, _2 ...) | fail | replace
+const UPLOAD_CONFLICT = (process.env.UPLOAD_CONFLICT || "rename").toLowerCase();
+// Dates in names/folders: when the message was sent (event.timestamp), in this IANA zone
+const TIMEZONE = process.env.TIMEZONE || "Asia/Bangkok";
+// event | exif (photo capture time when the image has one, else event time)
+const NAME_TIME_SOURCE = (process.env.NAME_TIME_SOURCE || "event").toLowerCase();
+
 // SharePoint target
 const SP_HOSTNAME = process.env.SP_HOSTNAME || "";
 const SP_SITE_PATH = process.env.SP_SITE_PATH || ""; // e.g. /sites/SavePhotoBot
 const SP_DRIVE_NAME = process.env.SP_DRIVE_NAME || "Documents";
 const SP_DRIVE_ID = process.env.SP_DRIVE_ID || "";
+// Library columns to fill per upload: '{"<column internal name>":"<field>"}' (or a JSON file)
+const SP_LIST_FIELDS_RAW = process.env.SP_LIST_FIELDS || "";
+const SP_LIST_FIELDS_FILE = process.env.SP_LIST_FIELDS_FILE || "";
+
+// Local filesystem / NAS target (STORAGE_MODE=local)
+const LOCAL_STORAGE_DIR = process.env.LOCAL_STORAGE_DIR || "";
+const LOCAL_STORAGE_BASE_URL = (process.env.LOCAL_STORAGE_BASE_URL || "").trim(); // optional: where the share is browsable
+
+// S3-compatible target (STORAGE_MODE=s3), e.g. MinIO http://minio:9000 or https://s3.ap-southeast-1.amazonaws.com
+const S3_ENDPOINT = (process.env.S3_ENDPOINT || "").trim();
+const S3_REGION = process.env.S3_REGION || "us-east-1";
+const S3_BUCKET = process.env.S3_BUCKET || "";
+const S3_ACCESS_KEY_ID = process.env.S3_ACCESS_KEY_ID || "";
+const S3_SECRET_ACCESS_KEY = process.env.S3_SECRET_ACCESS_KEY || "";
+const S3_FORCE_PATH_STYLE = (process.env.S3_FORCE_PATH_STYLE || "1") === "1"; // MinIO needs path-style
+const S3_PRESIGN_EXPIRES_SEC = Math.min(
+  7 * 24 * 3600, // SigV4 maximum
+  Math.max(60, Number(process.env.S3_PRESIGN_EXPIRES_SEC || 7 * 24 * 3600))
+);
+
+// WebDAV target (STORAGE_MODE=webdav), e.g. https://cloud.example.com/remote.php/dav/files/<user>
+// retries/timeouts follow GRAPH_RETRY_MAX / GRAPH_TIMEOUT_MS like every backend
+const WEBDAV_URL = (process.env.WEBDAV_URL || "").trim();
+const WEBDAV_USERNAME = process.env.WEBDAV_USERNAME || "";
+const WEBDAV_PASSWORD = process.env.WEBDAV_PASSWORD || ""; // Nextcloud: use an app password
+const WEBDAV_CHUNKED = (process.env.WEBDAV_CHUNKED || "1") === "1"; // Nextcloud chunked upload v2
+const WEBDAV_UPLOADS_URL = (process.env.WEBDAV_UPLOADS_URL || "").trim(); // default: derived from WEBDAV_URL
 
 // Optional: delete local file after upload
 const DELETE_LOCAL_AFTER_UPLOAD =
@@ -79,6 +179,88 @@ const GRAPH_RETRY_BASE_MS = Math.max(
   200,
   Number(process.env.GRAPH_RETRY_BASE_MS || 600)
 );
+// upload session chunk (Graph wants a multiple of 320 KiB); this is the only upload buffer
+const UPLOAD_CHUNK_BYTES =
+  Math.max(1, Math.round(Number(process.env.UPLOAD_CHUNK_KB || 5120) / 320)) *
+  320 *
+  1024;
+
+// Token store for rotated MS refresh tokens: file (encrypted, needs TOKEN_STORE_KEY) | memory
+const TOKEN_STORE = (process.env.TOKEN_STORE || "file").toLowerCase();
+const TOKEN_STORE_KEY = process.env.TOKEN_STORE_KEY || "";
+const TOKEN_ALERT_INTERVAL_MS = Math.max(
+  60_000,
+  Number(process.env.TOKEN_ALERT_INTERVAL_MS || 60 * 60 * 1000)
+);
+
+// Durable job queue (survives restarts)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+const JOB_RETRY_MAX = Math.max(0, Number(process.env.JOB_RETRY_MAX || 8));
+const JOB_RETRY_BASE_MS = Math.max(
+  1_000,
+  Number(process.env.JOB_RETRY_BASE_MS || 30_000)
+);
+const JOB_RETRY_MAX_DELAY_MS = Math.max(
+  JOB_RETRY_BASE_MS,
+  Number(process.env.JOB_RETRY_MAX_DELAY_MS || 60 * 60 * 1000)
+);
+const JOB_KEEP_FINISHED_HOURS = Math.max(
+  1,
+  Number(process.env.JOB_KEEP_FINISHED_HOURS || 48)
+);
+
+// Content-hash dedupe across messages/chats: skip | link | flag | off
+const DEDUPE_POLICY = (process.env.DEDUPE_POLICY || "flag").toLowerCase();
+// hashes.jsonl / phashes.jsonl entries older than this are forgotten
+const DEDUPE_KEEP_DAYS = Math.max(1, Number(process.env.DEDUPE_KEEP_DAYS || 365));
+
+// Near-duplicate images (dHash, needs sharp): Hamming distance 0..64, optional skip
+const PHASH_ENABLED = (process.env.PHASH_ENABLED || "1") === "1";
+const PHASH_THRESHOLD = Math.min(
+  64,
+  Math.max(0, Number(process.env.PHASH_THRESHOLD || 6))
+);
+const PHASH_SKIP = (process.env.PHASH_SKIP || "0") === "1";
+
+// Albums: photos sent together (message.imageSet)
+const ALBUM_SUBFOLDER = (process.env.ALBUM_SUBFOLDER || "0") === "1"; // .../<type>/album_<setId>/
+const ALBUM_NOTIFY_TIMEOUT_MS = Math.max(
+  5_000,
+  Number(process.env.ALBUM_NOTIFY_TIMEOUT_MS || 120_000)
+); // notify anyway when items are still missing
+
+// Chat transcript: text / sticker / location + media references, per chat per day
+const TRANSCRIPT_ENABLED = (process.env.TRANSCRIPT_ENABLED || "0") === "1";
+const TRANSCRIPT_CHATS = (process.env.TRANSCRIPT_CHATS || "") // groupId,roomId,private (empty = all)
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+const TRANSCRIPT_FORMATS = (process.env.TRANSCRIPT_FORMATS || "jsonl,csv,md")
+  .split(",")
+  .map((s) => s.trim().toLowerCase())
+  .filter(Boolean);
+const TRANSCRIPT_FOLDER = process.env.TRANSCRIPT_FOLDER || "transcript"; // inside each source folder
+const TRANSCRIPT_FLUSH_MS = Math.max(
+  5_000,
+  Number(process.env.TRANSCRIPT_FLUSH_MS || 60_000)
+); // upload after this much quiet time
+
+// Captions: a text quoting a saved item, or following it from the same sender
+const CAPTIONS_ENABLED = (process.env.CAPTIONS_ENABLED || "1") === "1";
+const CAPTION_WINDOW_SEC = Math.max(0, Number(process.env.CAPTION_WINDOW_SEC ?? 120)); // 0 = quotes only
+
+// Media metadata (capture time, camera, size, GPS, duration) -> job record
+const METADATA_ENABLED = (process.env.METADATA_ENABLED || "1") === "1";
+const METADATA_SIDECAR = (process.env.METADATA_SIDECAR || "0") === "1"; // upload <file>.json next to it
+const STRIP_GPS = (process.env.STRIP_GPS || "0") === "1"; // remove location from the uploaded copy
+
+// Thumbnails / previews (need sharp; video poster frames also need ffmpeg)
+const THUMBNAILS_ENABLED = (process.env.THUMBNAILS_ENABLED || "1") === "1";
+const THUMB_SIZE = Math.max(32, Number(process.env.THUMB_SIZE || 320)); // px, longest side
+const PREVIEW_SIZE = Math.max(THUMB_SIZE, Number(process.env.PREVIEW_SIZE || 1280));
+const THUMB_FORMAT = (process.env.THUMB_FORMAT || "jpg").toLowerCase(); // jpg | webp
+const THUMBS_FOLDER = process.env.THUMBS_FOLDER || "thumbs"; // below ONEDRIVE_BASE_PATH
+const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg";
 
 // Keep-alive for Render
 const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || "").trim(); // e.g. https://xxx.onrender.com
@@ -88,13 +270,17 @@ const KEEPALIVE_INTERVAL_MS = Math.max(
   Number(process.env.KEEPALIVE_INTERVAL_MS || 300_000)
 );
 
-// Media controls
+// Media controls (uploads stream from disk, so limits are bounded by temp disk, not RAM)
 const ALLOW_VIDEO = (process.env.ALLOW_VIDEO || "1") === "1";
+const ALLOW_AUDIO = (process.env.ALLOW_AUDIO || "1") === "1";
 const ALLOW_FILE = (process.env.ALLOW_FILE || "1") === "1";
 
 const MAX_VIDEO_MB = Math.max(1, Number(process.env.MAX_VIDEO_MB || 30));
 const MAX_VIDEO_BYTES = MAX_VIDEO_MB * 1024 * 1024;
 
+const MAX_AUDIO_MB = Math.max(1, Number(process.env.MAX_AUDIO_MB || 20));
+const MAX_AUDIO_BYTES = MAX_AUDIO_MB * 1024 * 1024;
+
 const MAX_FILE_MB = Math.max(1, Number(process.env.MAX_FILE_MB || 20));
 const MAX_FILE_BYTES = MAX_FILE_MB * 1024 * 1024;
 
@@ -116,12 +302,79 @@ if (!ADMIN_USER_ID || !looksLikeLineId(ADMIN_USER_ID)) {
   process.exit(1);
 }
 
-if (!MS_TENANT || !MS_CLIENT_ID || !MS_REFRESH_TOKEN) {
+const KNOWN_STORAGE_MODES = ["sharepoint", "onedrive", "local", "s3", "webdav"];
+const badModes = STORAGE_MODES.filter((m) => !KNOWN_STORAGE_MODES.includes(m));
+if (!STORAGE_MODES.length || badModes.length) {
+  console.error(
+    `❌ Invalid env: STORAGE_MODE=${STORAGE_MODE} (${KNOWN_STORAGE_MODES.join(" | ")}, comma separated)`
+  );
+  process.exit(1);
+}
+
+const USES_GRAPH =
+  STORAGE_MODES.includes("sharepoint") || STORAGE_MODES.includes("onedrive");
+
+if (USES_GRAPH && (!MS_TENANT || !MS_CLIENT_ID || !MS_REFRESH_TOKEN)) {
   console.error("❌ Missing env: MS_TENANT or MS_CLIENT_ID or MS_REFRESH_TOKEN");
   process.exit(1);
 }
 
-if (STORAGE_MODE === "sharepoint") {
+try {
+  new Intl.DateTimeFormat("en-US", { timeZone: TIMEZONE });
+} catch {
+  console.error(`❌ Invalid env: TIMEZONE=${TIMEZONE} (IANA zone, e.g. Asia/Bangkok)`);
+  process.exit(1);
+}
+
+{
+  const unknown = TRANSCRIPT_FORMATS.filter((f) => !["jsonl", "csv", "md"].includes(f));
+  if (unknown.length) {
+    console.error(`❌ Invalid env: TRANSCRIPT_FORMATS=${unknown.join(",")} (jsonl | csv | md)`);
+    process.exit(1);
+  }
+}
+
+if (!["jpg", "webp"].includes(THUMB_FORMAT)) {
+  console.error(`❌ Invalid env: THUMB_FORMAT=${THUMB_FORMAT} (jpg | webp)`);
+  process.exit(1);
+}
+
+if (!["event", "exif"].includes(NAME_TIME_SOURCE)) {
+  console.error(`❌ Invalid env: NAME_TIME_SOURCE=${NAME_TIME_SOURCE} (event | exif)`);
+  process.exit(1);
+}
+
+if (!["rename", "fail", "replace"].includes(UPLOAD_CONFLICT)) {
+  console.error(`❌ Invalid env: UPLOAD_CONFLICT=${UPLOAD_CONFLICT} (rename | fail | replace)`);
+  process.exit(1);
+}
+
+if (!["skip", "link", "flag", "off"].includes(DEDUPE_POLICY)) {
+  console.error(`❌ Invalid env: DEDUPE_POLICY=${DEDUPE_POLICY} (skip | link | flag | off)`);
+  process.exit(1);
+}
+
+if (STORAGE_MODES.includes("local") && !LOCAL_STORAGE_DIR) {
+  console.error("❌ Missing env for local storage: LOCAL_STORAGE_DIR");
+  process.exit(1);
+}
+
+if (
+  STORAGE_MODES.includes("s3") &&
+  (!S3_ENDPOINT || !S3_BUCKET || !S3_ACCESS_KEY_ID || !S3_SECRET_ACCESS_KEY)
+) {
+  console.error(
+    "❌ Missing env for S3: S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY"
+  );
+  process.exit(1);
+}
+
+if (STORAGE_MODES.includes("webdav") && (!WEBDAV_URL || !WEBDAV_USERNAME)) {
+  console.error("❌ Missing env for WebDAV: WEBDAV_URL or WEBDAV_USERNAME");
+  process.exit(1);
+}
+
+if (STORAGE_MODES.includes("sharepoint")) {
   if (!SP_DRIVE_ID && (!SP_HOSTNAME || !SP_SITE_PATH)) {
     console.error(
       "❌ Missing env for SharePoint: SP_HOSTNAME/SP_SITE_PATH (or set SP_DRIVE_ID)"
@@ -130,6 +383,39 @@ if (STORAGE_MODE === "sharepoint") {
   }
 }
 
+// fields = the keys of LIST_FIELD_VALUES (SharePoint list columns section)
+const SP_LIST_FIELD_NAMES = [
+  "senderName",
+  "senderId",
+  "groupName",
+  "chatId",
+  "sourceType",
+  "sentAt",
+  "messageId",
+  "messageType",
+  "tags",
+  "caption",
+  "originalName",
+  "sha256",
+  "captureTime",
+];
+let SP_LIST_FIELDS = {};
+try {
+  const raw = SP_LIST_FIELDS_FILE
+    ? fs.readFileSync(SP_LIST_FIELDS_FILE, "utf8")
+    : SP_LIST_FIELDS_RAW;
+  SP_LIST_FIELDS = raw ? JSON.parse(raw) : {};
+  if (!SP_LIST_FIELDS || typeof SP_LIST_FIELDS !== "object" || Array.isArray(SP_LIST_FIELDS))
+    throw new Error("must be a JSON object");
+  const unknown = Object.values(SP_LIST_FIELDS).filter((f) => !SP_LIST_FIELD_NAMES.includes(f));
+  if (unknown.length)
+    throw new Error(`unknown field ${unknown.join(",")} (${SP_LIST_FIELD_NAMES.join(" | ")})`);
+} catch (e) {
+  const key = SP_LIST_FIELDS_FILE ? `SP_LIST_FIELDS_FILE=${SP_LIST_FIELDS_FILE}` : "SP_LIST_FIELDS";
+  console.error(`❌ Invalid env: ${key} (${e.message})`);
+  process.exit(1);
+}
+
 /* -------------------- LINE client -------------------- */
 const config = {
   channelAccessToken: LINE_ACCESS_TOKEN,
@@ -146,14 +432,288 @@ const baseImagesDir = path.join(__dirname, "images");
 if (!fs.existsSync(baseImagesDir))
   fs.mkdirSync(baseImagesDir, { recursive: true });
 
+/* -------------------- Persistent data (journal files) -------------------- */
+if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+
+/**
+ * Append-only JSONL journal:
+ * - put(record) appends one line (last line per key wins on replay)
+ * - remove(key) appends a tombstone
+ * - compact() rewrites the file with live records only (tmp + rename);
+ *   also runs by itself once most lines on disk are superseded
+ */
+function createJournal(filePath, keyOf = (r) => r.id) {
+  const records = new Map();
+  let lines = 0; // on disk, live or superseded
+
+  function append(obj) {
+    fs.appendFileSync(filePath, JSON.stringify(obj) + "\n");
+    if (++lines > Math.max(1000, records.size * 2)) compact();
+  }
+
+  function load() {
+    records.clear();
+    if (!fs.existsSync(filePath)) return records;
+
+    lines = 0;
+    for (const ln of fs.readFileSync(filePath, "utf8").split("\n")) {
+      if (!ln.trim()) continue;
+      lines++;
+      let r = null;
+      try {
+        r = JSON.parse(ln);
+      } catch {
+        continue; // torn last line after a crash
+      }
+      if (r && r.$del !== undefined) records.delete(r.$del);
+      else if (r) records.set(keyOf(r), r);
+    }
+    return records;
+  }
+
+  function compact() {
+    const tmp = `${filePath}.tmp`;
+    const body = [...records.values()].map((r) => JSON.stringify(r)).join("\n");
+    fs.writeFileSync(tmp, body ? body + "\n" : "");
+    fs.renameSync(tmp, filePath);
+    lines = records.size;
+  }
+
+  return {
+    load,
+    compact,
+    get: (key) => records.get(key),
+    has: (key) => records.has(key),
+    values: () => [...records.values()],
+    get size() {
+      return records.size;
+    },
+    put(record) {
+      records.set(keyOf(record), record);
+      append(record);
+      return record;
+    },
+    remove(key) {
+      if (!records.delete(key)) return;
+      append({ $del: key });
+    },
+  };
+}
+
 /* -------------------- Static route (Express 5 safe) -------------------- */
+/**
+ * /images/<path>?exp=<unix sec>&sig=<hmac>[&once=<nonce>]
+ * sig = HMAC-SHA256(IMAGE_URL_SECRET, "<decoded path>\n<exp>\n<once>"), so a link
+ * opens one file until it expires. `once` links are single-use: the first
+ * client may keep fetching for IMAGE_URL_REUSE_MS (video players use ranges),
+ * then the nonce is spent (data/used_image_links.jsonl survives restarts).
+ * IMAGE_VIEW_TOKEN (?token=) still opens everything, for old links only.
+ */
+const IMAGE_URL_REUSE_MS = 60 * 1000;
+
+// without IMAGE_URL_SECRET: random key kept in DATA_DIR (links die with the disk)
+function loadImageUrlSecret() {
+  if (IMAGE_URL_SECRET) return IMAGE_URL_SECRET;
+  const file = path.join(DATA_DIR, "image_url.key");
+  try {
+    const key = fs.readFileSync(file, "utf8").trim();
+    if (key) return key;
+  } catch {
+    // first boot
+  }
+  const key = crypto.randomBytes(32).toString("hex");
+  fs.writeFileSync(file, key, { mode: 0o600 });
+  return key;
+}
+const imageUrlSecret = loadImageUrlSecret();
+
+const usedImageLinks = createJournal(
+  path.join(DATA_DIR, "used_image_links.jsonl"),
+  (r) => r.nonce
+);
+usedImageLinks.load();
+
+// an expired link is refused anyway: its nonce need not be remembered
+function pruneUsedImageLinks() {
+  for (const r of usedImageLinks.values()) {
+    if (r.exp * 1000 < Date.now()) usedImageLinks.remove(r.nonce);
+  }
+  usedImageLinks.compact();
+}
+pruneUsedImageLinks();
+setInterval(pruneUsedImageLinks, 60 * 60 * 1000).unref?.();
+
+function imageLinkSig(filePath, exp, once = "") {
+  return crypto
+    .createHmac("sha256", imageUrlSecret)
+    .update(`${filePath}\n${exp}\n${once}`)
+    .digest("base64url");
+}
+
+// viewPath: "/images/<encoded segments>" -> same path + signed query
+function signImagePath(viewPath, { ttlSec = IMAGE_URL_TTL_SEC, once = IMAGE_URL_SINGLE_USE } = {}) {
+  const exp = Math.floor(Date.now() / 1000) + ttlSec;
+  const nonce = once ? crypto.randomBytes(9).toString("base64url") : "";
+  const q = new URLSearchParams({ exp: String(exp) });
+  if (nonce) q.set("once", nonce);
+  q.set("sig", imageLinkSig(decodeURIComponent(viewPath), exp, nonce));
+  return { url: `${viewPath}?${q}`, expiresAt: new Date(exp * 1000) };
+}
+
+// -> null when the link is good, else the reason
+function imageLinkProblem(req) {
+  const exp = String(req.query.exp || "");
+  const sig = String(req.query.sig || "");
+  const once = String(req.query.once || "");
+  if (!exp || !sig) return "unsigned";
+
+  let filePath;
+  try {
+    filePath = decodeURIComponent(req.path);
+  } catch {
+    return "bad path";
+  }
+  if (!safeEqual(sig, imageLinkSig(filePath, exp, once))) return "bad signature";
+  if (!(Number(exp) * 1000 >= Date.now())) return "expired";
+
+  if (once) {
+    const used = usedImageLinks.get(once);
+    if (!used) usedImageLinks.put({ nonce: once, at: Date.now(), ip: req.ip, exp: Number(exp) });
+    else if (used.ip !== req.ip || Date.now() - used.at > IMAGE_URL_REUSE_MS) return "used";
+  }
+  return null;
+}
+
 app.get(/^\/images\/.*/, (req, res, next) => {
-  if (!IMAGE_VIEW_TOKEN) return next();
-  if (req.query.token !== IMAGE_VIEW_TOKEN) return res.sendStatus(403);
-  return next();
+  const problem = imageLinkProblem(req);
+  if (!problem) return next();
+  if (IMAGE_VIEW_TOKEN && safeEqual(req.query.token, IMAGE_VIEW_TOKEN)) return next(); // legacy
+
+  log("WARN", "IMAGE_LINK_DENIED", { path: req.path, reason: problem, ip: req.ip });
+  return res.sendStatus(problem === "expired" || problem === "used" ? 410 : 403);
 });
 app.use("/images", express.static(baseImagesDir));
 
+/* -------------------- Metrics (Prometheus text format) -------------------- */
+/**
+ * Tiny registry, no client library:
+ *   counter(name, help).inc(labels, n)
+ *   histogram(name, help, buckets).observe(labels, value)
+ *   gauge(name, help, collect)  collect() -> [{ labels, value }] at scrape time
+ * render() -> text exposition format 0.0.4 for GET /metrics.
+ */
+function createMetrics() {
+  const families = new Map(); // name -> { type, help, buckets, collect, series }
+
+  function family(name, type, help, extra = {}) {
+    if (!families.has(name))
+      families.set(name, { type, help, series: new Map(), ...extra });
+    return families.get(name);
+  }
+
+  function seriesFor(f, labels, init) {
+    const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => (a < b ? -1 : 1)));
+    if (!f.series.has(key)) f.series.set(key, { labels, ...init() });
+    return f.series.get(key);
+  }
+
+  function fmtLabels(labels) {
+    const parts = Object.entries(labels).map(
+      ([k, v]) =>
+        `${k}="${String(v ?? "").replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"')}"`
+    );
+    return parts.length ? `{${parts.join(",")}}` : "";
+  }
+
+  function render() {
+    const out = [];
+    for (const [name, f] of families) {
+      out.push(`# HELP ${name} ${f.help}`, `# TYPE ${name} ${f.type}`);
+      if (f.type === "gauge") {
+        for (const { labels = {}, value } of f.collect())
+          out.push(`${name}${fmtLabels(labels)} ${Number(value) || 0}`);
+        continue;
+      }
+      for (const s of f.series.values()) {
+        if (f.type === "counter") {
+          out.push(`${name}${fmtLabels(s.labels)} ${s.value}`);
+          continue;
+        }
+        f.buckets.forEach((le, i) =>
+          out.push(`${name}_bucket${fmtLabels({ ...s.labels, le })} ${s.counts[i]}`)
+        );
+        out.push(`${name}_bucket${fmtLabels({ ...s.labels, le: "+Inf" })} ${s.count}`);
+        out.push(`${name}_sum${fmtLabels(s.labels)} ${s.sum}`);
+        out.push(`${name}_count${fmtLabels(s.labels)} ${s.count}`);
+      }
+    }
+    return out.join("\n") + "\n";
+  }
+
+  return {
+    render,
+    counter(name, help) {
+      const f = family(name, "counter", help);
+      return {
+        inc(labels = {}, n = 1) {
+          seriesFor(f, labels, () => ({ value: 0 })).value += n;
+        },
+      };
+    },
+    histogram(name, help, buckets) {
+      const f = family(name, "histogram", help, { buckets });
+      return {
+        observe(labels, value) {
+          const s = seriesFor(f, labels, () => ({
+            counts: buckets.map(() => 0),
+            sum: 0,
+            count: 0,
+          }));
+          buckets.forEach((le, i) => {
+            if (value <= le) s.counts[i]++;
+          });
+          s.sum += value;
+          s.count++;
+        },
+      };
+    },
+    gauge(name, help, collect) {
+      family(name, "gauge", help, { collect });
+    },
+  };
+}
+
+const metrics = createMetrics();
+const webhookEventsTotal = metrics.counter(
+  "savephotobot_webhook_events_total",
+  "Webhook events by type (message type or event type) and outcome"
+);
+const lineDownloadBytesTotal = metrics.counter(
+  "savephotobot_line_download_bytes_total",
+  "Bytes downloaded from LINE message content"
+);
+const storageUploadsTotal = metrics.counter(
+  "savephotobot_storage_uploads_total",
+  "File uploads per destination and outcome (ok | error)"
+);
+const storageUploadBytesTotal = metrics.counter(
+  "savephotobot_storage_upload_bytes_total",
+  "Bytes uploaded per destination"
+);
+const uploadDurationSeconds = metrics.histogram(
+  "savephotobot_upload_duration_seconds",
+  "Upload latency per destination (one file, all chunks)",
+  [0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300]
+);
+const retryEventsTotal = metrics.counter(
+  "savephotobot_retry_events_total",
+  "Retried HTTP calls per backend and kind (transient | exception | chunk | chunk_exception)"
+);
+const adminNotifyTotal = metrics.counter(
+  "savephotobot_admin_notify_total",
+  "Admin push notifications by outcome (ok | fail)"
+);
+
 /* -------------------- Production Logger -------------------- */
 function nowISO() {
   return new Date().toISOString();
@@ -185,54 +745,48 @@ function msSince(t0) {
 function pad(n) {
   return String(n).padStart(2, "0");
 }
-function makeFileNamePrefix(messageId) {
-  const d = new Date();
-  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(
-    d.getDate()
-  )}_${messageId}`;
+function makeFileNamePrefix(messageId, parts = dateParts(new Date())) {
+  return `${parts.yyyy}-${parts.mm}-${parts.dd}_${messageId}`;
 }
 function makeFileName(messageId, ext = "jpg") {
   return `${makeFileNamePrefix(messageId)}.${ext}`;
 }
 
 /**
- * ✅ Pretty file name:
+ * ✅ Pretty file name from FILENAME_TEMPLATE (extension is always appended).
+ * Default keeps the classic names:
  * - image/video: YYYY-MM-DD_HH-mm-ss_IMG|VID_<shortId>.ext
  * - file:        YYYY-MM-DD_HH-mm-ss_FILE_<shortId>_<originalName>.ext
+ * `values` adds the path tokens ({source} {sender} {type}) and the date parts
+ * of the message time; without them the current time in TIMEZONE is used.
  */
-function makePrettyFileName(messageId, type, ext, originalName = "") {
-  const d = new Date();
-  const yyyy = d.getFullYear();
-  const mm = String(d.getMonth() + 1).padStart(2, "0");
-  const dd = String(d.getDate()).padStart(2, "0");
-
-  const hh = String(d.getHours()).padStart(2, "0");
-  const mi = String(d.getMinutes()).padStart(2, "0");
-  const ss = String(d.getSeconds()).padStart(2, "0");
-
+function makePrettyFileName(messageId, type, ext, originalName = "", values = {}) {
   const shortId = String(messageId || "").slice(-6) || "000000";
 
   let label = "FILE";
   if (type === "image") label = "IMG";
   if (type === "video") label = "VID";
+  if (type === "audio") label = "AUD";
 
-  // sanitize original name (optional)
+  // sanitize original name (optional), only files carry one
   const safeOriginal = String(originalName || "")
     .replace(/[/\\]/g, "_")
     .replace(/[<>:"|?*\x00-\x1F]/g, "_")
     .replace(/\s+/g, " ")
     .trim();
+  const nameNoExt =
+    type === "file" ? safeOriginal.replace(/\.[^.]+$/, "") : "";
+
+  const base = renderNameTemplate(FILENAME_TEMPLATE, {
+    ...dateParts(new Date()),
+    messageId,
+    shortId,
+    label,
+    original: nameNoExt,
+    ...values,
+  });
 
-  const base = `${yyyy}-${mm}-${dd}_${hh}-${mi}-${ss}_${label}_${shortId}`;
-
-  // if file and has original name, append it (without duplicating extension)
-  if (type === "file" && safeOriginal) {
-    const nameNoExt = safeOriginal.replace(/\.[^.]+$/, "");
-    const tail = nameNoExt ? `_${nameNoExt}` : "";
-    return `${base}${tail}.${ext}`;
-  }
-
-  return `${base}.${ext}`;
+  return `${sanitizeFileName(base)}.${ext}`;
 }
 
 function sanitizeFolderName(name) {
@@ -260,18 +814,34 @@ function getExtFromFileName(name) {
     .replace(/[^a-z0-9]/g, "")
     .slice(0, 10);
 }
+// both savers hash while writing -> resolve({ sha256, size })
 function saveStreamToFile(stream, filePath) {
   return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    let size = 0;
     const w = fs.createWriteStream(filePath);
+    stream.on("data", (chunk) => {
+      hash.update(chunk);
+      size += chunk.length;
+    });
+    const fail = (e) => {
+      // no partial file left behind: unlink once the fd is closed
+      const unlink = () => fs.unlink(filePath, () => reject(e));
+      stream.unpipe(w);
+      if (w.closed) return unlink();
+      w.once("close", unlink);
+      w.destroy();
+    };
     stream.pipe(w);
-    w.on("finish", resolve);
-    w.on("error", reject);
-    stream.on("error", reject);
+    w.on("finish", () => resolve({ sha256: hash.digest("hex"), size }));
+    w.on("error", fail);
+    stream.on("error", fail);
   });
 }
 function saveStreamToFileWithLimit(stream, filePath, maxBytes) {
   return new Promise((resolve, reject) => {
     let written = 0;
+    const hash = crypto.createHash("sha256");
     const w = fs.createWriteStream(filePath);
 
     const cleanup = () => {
@@ -288,13 +858,14 @@ function saveStreamToFileWithLimit(stream, filePath, maxBytes) {
 
     stream.on("data", (chunk) => {
       written += chunk.length;
+      hash.update(chunk);
       if (written > maxBytes) {
         cleanup();
         reject(new Error("TOO_LARGE"));
       }
     });
 
-    w.on("finish", resolve);
+    w.on("finish", () => resolve({ sha256: hash.digest("hex"), size: written }));
     w.on("error", (e) => {
       cleanup();
       reject(e);
@@ -307,6 +878,66 @@ function saveStreamToFileWithLimit(stream, filePath, maxBytes) {
     stream.pipe(w);
   });
 }
+// quickXorHash (OneDrive / SharePoint): byte n is xored into a 160-bit ring
+// at bit (n * 11) % 160, then the length is xored into the last 8 bytes
+function createQuickXor() {
+  const lanes = new Uint8Array(160); // xor of every byte with n % 160 === i
+  let length = 0;
+  return {
+    update(buf) {
+      let lane = length % 160;
+      for (let i = 0; i < buf.length; i++) {
+        lanes[lane] ^= buf[i];
+        lane = lane === 159 ? 0 : lane + 1;
+      }
+      length += buf.length;
+    },
+    digest() {
+      const out = Buffer.alloc(20);
+      for (let i = 0; i < 160; i++) {
+        const bit = (i * 11) % 160;
+        const at = bit >> 3;
+        const shift = bit & 7;
+        out[at] ^= (lanes[i] << shift) & 0xff;
+        if (shift) out[(at + 1) % 20] ^= lanes[i] >> (8 - shift);
+      }
+      const len = Buffer.alloc(8);
+      len.writeBigUInt64LE(BigInt(length));
+      for (let i = 0; i < 8; i++) out[12 + i] ^= len[i];
+      return out.toString("base64");
+    },
+  };
+}
+// algo: sha256 | sha1 | md5 (hex), quickxor (base64), md5-parts:<bytes> (S3 multipart ETag)
+async function fileChecksum(filePath, algo) {
+  const parts = /^md5-parts:(\d+)$/.exec(algo);
+  if (parts) {
+    const partSize = Number(parts[1]);
+    const digests = [];
+    let md5 = crypto.createHash("md5");
+    let filled = 0;
+    for await (let chunk of fs.createReadStream(filePath)) {
+      while (chunk.length) {
+        const take = Math.min(chunk.length, partSize - filled);
+        md5.update(chunk.subarray(0, take));
+        filled += take;
+        chunk = chunk.subarray(take);
+        if (filled === partSize) {
+          digests.push(md5.digest());
+          md5 = crypto.createHash("md5");
+          filled = 0;
+        }
+      }
+    }
+    if (filled) digests.push(md5.digest());
+    const all = crypto.createHash("md5").update(Buffer.concat(digests)).digest("hex");
+    return `${all}-${digests.length}`;
+  }
+
+  const hash = algo === "quickxor" ? createQuickXor() : crypto.createHash(algo);
+  for await (const chunk of fs.createReadStream(filePath)) hash.update(chunk);
+  return algo === "quickxor" ? hash.digest() : hash.digest("hex");
+}
 function buildPublicBaseUrl(req) {
   if (PUBLIC_BASE_URL) return PUBLIC_BASE_URL;
   const proto = req.headers["x-forwarded-proto"] || "https";
@@ -343,6 +974,12 @@ function extFromContentType(ct) {
   if (c.includes("video/quicktime")) return "mov";
   if (c.includes("video/3gpp")) return "3gp";
 
+  // LINE voice notes are AAC in an MP4 container
+  if (c.includes("audio/x-m4a") || c.includes("audio/m4a") || c.includes("audio/mp4"))
+    return "m4a";
+  if (c.includes("audio/aac")) return "aac";
+  if (c.includes("audio/mpeg")) return "mp3";
+
   if (c.includes("application/pdf")) return "pdf";
   if (c.includes("application/zip")) return "zip";
   if (c.includes("text/plain")) return "txt";
@@ -359,18 +996,187 @@ function mimeFromExt(ext) {
   if (e === "mov") return "video/quicktime";
   if (e === "3gp") return "video/3gpp";
 
+  if (e === "m4a") return "audio/mp4";
+  if (e === "aac") return "audio/aac";
+  if (e === "mp3") return "audio/mpeg";
+
   if (e === "pdf") return "application/pdf";
   if (e === "zip") return "application/zip";
   if (e === "txt") return "text/plain; charset=utf-8";
 
   return "application/octet-stream";
 }
+// 83000 -> "1:23"
+function formatDuration(ms) {
+  const total = Math.round(Number(ms || 0) / 1000);
+  return `${Math.floor(total / 60)}:${pad(total % 60)}`;
+}
+function storageLabel(mode) {
+  if (mode === "sharepoint") return "SharePoint";
+  if (mode === "onedrive") return "OneDrive";
+  if (mode === "local") return "Local disk";
+  if (mode === "s3") return "S3";
+  if (mode === "webdav") return "WebDAV";
+  return String(mode || "Storage");
+}
 function typeSubFolder(messageType) {
   if (messageType === "image") return "images";
   if (messageType === "video") return "videos";
+  if (messageType === "audio") return "audios";
   return "files";
 }
 
+/* -------------------- Path templates -------------------- */
+/**
+ * FOLDER_TEMPLATE (below ONEDRIVE_BASE_PATH), e.g. "{source}/{yyyy}/{mm}/{sender}/{type}"
+ * Tokens: {source} {sender} {type} {yyyy} {mm} {dd} {hh} {mi} {ss} {messageId} {shortId}
+ * Each rendered segment goes through sanitizeFolderName; empty segments are dropped.
+ */
+const TEMPLATE_TOKENS = [
+  "source",
+  "sender",
+  "type",
+  "yyyy",
+  "mm",
+  "dd",
+  "hh",
+  "mi",
+  "ss",
+  "messageId",
+  "shortId",
+];
+
+// file names also know {label} (IMG|VID|AUD|FILE) and {original} (file name without ext)
+const FILENAME_TOKENS = [...TEMPLATE_TOKENS, "label", "original"];
+
+// -> error text or null
+function validateTemplate(tpl, tokens = TEMPLATE_TOKENS) {
+  const t = String(tpl || "");
+  if (!t.trim()) return "empty template";
+  if (t.includes("\\")) return "use / as separator";
+  if (t.split("/").some((seg) => seg.trim() === ".."))
+    return "'..' is not allowed";
+
+  const unknown = [...t.matchAll(/\{([^{}]*)\}/g)]
+    .map((m) => m[1])
+    .filter((k) => !tokens.includes(k));
+  if (unknown.length) return `unknown token(s): ${unknown.map((k) => `{${k}}`).join(" ")}`;
+
+  if (/[{}]/.test(t.replace(/\{[^{}]*\}/g, ""))) return "unbalanced { }";
+  return null;
+}
+
+// wall clock in TIMEZONE (the server itself usually runs in UTC)
+const zoneFormat = new Intl.DateTimeFormat("en-US", {
+  timeZone: TIMEZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+  hourCycle: "h23",
+});
+
+function dateParts(d) {
+  const p = {};
+  for (const { type, value } of zoneFormat.formatToParts(d)) p[type] = value;
+  return {
+    yyyy: p.year,
+    mm: p.month,
+    dd: p.day,
+    hh: p.hour,
+    mi: p.minute,
+    ss: p.second,
+  };
+}
+
+// send time from LINE (ms epoch); queued/retried jobs keep it
+function eventTime(job) {
+  return new Date(Number(job.event?.timestamp) || job.createdAt || Date.now());
+}
+
+function renderTemplate(tpl, values) {
+  return String(tpl).replace(/\{(\w+)\}/g, (_, k) => values[k] ?? "");
+}
+
+// file names: an empty token also eats one separator next to it ("_{original}" -> "")
+function renderNameTemplate(tpl, values) {
+  const EMPTY = "\u0000";
+  return String(tpl)
+    .replace(/\{(\w+)\}/g, (_, k) => {
+      const v = values[k];
+      if (v === undefined || v === null || v === "") return EMPTY;
+      return String(v).replace(/[/\\]/g, "_");
+    })
+    .replace(/[_\-. ]?\u0000/g, "")
+    .replace(/^[_\-. ]+|[_\-. ]+$/g, "");
+}
+
+function renderFolderPath(tpl, values) {
+  return renderTemplate(tpl, values)
+    .split("/")
+    .map(sanitizeFolderName)
+    .filter(Boolean)
+    .join("/");
+}
+
+// groupId | roomId | "private" (key for per-chat settings)
+function chatKeyOf(event) {
+  const s = event?.source || {};
+  return s.groupId || s.roomId || (s.type === "user" ? "private" : "");
+}
+
+// per-chat override or the global template
+function folderTemplateFor(event) {
+  return FOLDER_TEMPLATE_OVERRIDES[chatKeyOf(event)] || FOLDER_TEMPLATE;
+}
+
+function jobDriveFolder(job) {
+  return job.driveFolder || `${job.folderName}/${job.senderFolder}/${job.sub}`;
+}
+
+// validated at startup: a bad template must not silently scatter files
+let FOLDER_TEMPLATE_OVERRIDES = {};
+try {
+  FOLDER_TEMPLATE_OVERRIDES = FOLDER_TEMPLATE_OVERRIDES_RAW
+    ? JSON.parse(FOLDER_TEMPLATE_OVERRIDES_RAW)
+    : {};
+  if (
+    !FOLDER_TEMPLATE_OVERRIDES ||
+    typeof FOLDER_TEMPLATE_OVERRIDES !== "object" ||
+    Array.isArray(FOLDER_TEMPLATE_OVERRIDES)
+  )
+    throw new Error("must be a JSON object");
+} catch (e) {
+  console.error(`❌ Invalid env: FOLDER_TEMPLATE_OVERRIDES (${e.message})`);
+  process.exit(1);
+}
+
+for (const [key, tpl] of [
+  ["FOLDER_TEMPLATE", FOLDER_TEMPLATE],
+  ...Object.entries(FOLDER_TEMPLATE_OVERRIDES).map(([k, v]) => [
+    `FOLDER_TEMPLATE_OVERRIDES[${k}]`,
+    v,
+  ]),
+]) {
+  const err = validateTemplate(tpl);
+  if (err) {
+    console.error(`❌ Invalid env: ${key}="${tpl}" (${err})`);
+    process.exit(1);
+  }
+}
+
+{
+  const err = FILENAME_TEMPLATE.includes("/")
+    ? "file name must not contain /"
+    : validateTemplate(FILENAME_TEMPLATE, FILENAME_TOKENS);
+  if (err) {
+    console.error(`❌ Invalid env: FILENAME_TEMPLATE="${FILENAME_TEMPLATE}" (${err})`);
+    process.exit(1);
+  }
+}
+
 /* -------------------- Simple concurrency limiter -------------------- */
 function createLimiter(max) {
   let active = 0;
@@ -391,11 +1197,13 @@ function createLimiter(max) {
       });
   };
 
-  return (fn) =>
+  const run = (fn) =>
     new Promise((resolve, reject) => {
       queue.push({ fn, resolve, reject });
       next();
     });
+  run.stats = () => ({ active, waiting: queue.length, max });
+  return run;
 }
 const uploadLimiter = createLimiter(UPLOAD_CONCURRENCY);
 
@@ -404,8 +1212,10 @@ async function notifyAdmin(text, meta = {}) {
   const msg = String(text || "").slice(0, 4900);
   try {
     await client.pushMessage(ADMIN_USER_ID, [{ type: "text", text: msg }]);
+    adminNotifyTotal.inc({ outcome: "ok" });
     log("INFO", "ADMIN_NOTIFY_OK", meta);
   } catch (e) {
+    adminNotifyTotal.inc({ outcome: "fail" });
     log("ERROR", "ADMIN_NOTIFY_FAIL", {
       ...meta,
       err: String(e?.message || e),
@@ -463,13 +1273,18 @@ function buildSenderFolder(userId, displayName) {
   return name ? `user_${name}_${tail}` : `user_${tail}`;
 }
 
+function senderCacheKey(event) {
+  const s = event.source || {};
+  const scopeId = s.groupId || s.roomId || "private";
+  return `${s.type}:${scopeId}:${s.userId}`;
+}
+
 async function getSenderFolder(event) {
   const s = event.source || {};
   const userId = s.userId;
   if (!userId) return "user_unknown";
 
-  const scopeId = s.groupId || s.roomId || "private";
-  const cacheKey = `${s.type}:${scopeId}:${userId}`;
+  const cacheKey = senderCacheKey(event);
 
   const cached = senderCache.get(cacheKey);
   if (cached && Date.now() - cached.ts < SENDER_CACHE_TTL_MS)
@@ -486,16 +1301,31 @@ async function getSenderFolder(event) {
       profile = await client.getProfile(userId);
     }
 
-    const folder = buildSenderFolder(userId, profile?.displayName || "");
-    senderCache.set(cacheKey, { folder, ts: Date.now() });
+    const name = profile?.displayName || "";
+    const folder = buildSenderFolder(userId, name);
+    senderCache.set(cacheKey, { folder, name, ts: Date.now() });
     return folder;
   } catch {
     const folder = buildSenderFolder(userId, "");
-    senderCache.set(cacheKey, { folder, ts: Date.now() });
+    senderCache.set(cacheKey, { folder, name: "", ts: Date.now() });
     return folder;
   }
 }
 
+// display name as shown in LINE (cached together with the folder)
+async function getSenderName(event) {
+  if (!event.source?.userId) return "";
+  await getSenderFolder(event);
+  return senderCache.get(senderCacheKey(event))?.name || "";
+}
+
+// group title for records (rooms have none)
+async function getChatName(event) {
+  const s = event.source || {};
+  if (s.type !== "group" || !s.groupId) return "";
+  return getGroupName(s.groupId).catch(() => "");
+}
+
 /* -------------------- Dedupe (webhook retry) -------------------- */
 const seenMessageIds = new Set();
 function rememberMessageId(id) {
@@ -503,58 +1333,284 @@ function rememberMessageId(id) {
   setTimeout(() => seenMessageIds.delete(id), 10 * 60 * 1000).unref?.();
 }
 
-/* -------------------- Microsoft Graph OAuth -------------------- */
-let currentRefreshToken = MS_REFRESH_TOKEN;
+/* -------------------- Token store (rotated refresh token) -------------------- */
+/**
+ * Microsoft rotates refresh tokens; the latest one must survive restarts,
+ * otherwise the bot falls back to the stale MS_REFRESH_TOKEN from env.
+ * A store is any object with async get() -> {refreshToken, seed} | null
+ * and async set({refreshToken, seed}). Register new ones in tokenStores.
+ * `seed` is a fingerprint of the env token the record grew from: when the
+ * env value is replaced by hand (re-consent), the env token wins again.
+ */
+function fingerprint(v) {
+  return crypto.createHash("sha256").update(String(v || "")).digest("hex").slice(0, 16);
+}
 
-async function msPostForm(url, data) {
-  const body = new URLSearchParams(data);
+function createMemoryTokenStore() {
+  let record = null;
+  return {
+    name: "memory",
+    async get() {
+      return record;
+    },
+    async set(r) {
+      record = { ...r };
+    },
+  };
+}
 
-  const controller = new AbortController();
-  const t = setTimeout(() => controller.abort(), GRAPH_TIMEOUT_MS);
+// AES-256-GCM, key derived from TOKEN_STORE_KEY
+function createFileTokenStore(filePath, secret) {
+  const key = crypto.createHash("sha256").update(String(secret)).digest();
 
-  try {
-    const res = await fetch(url, {
-      method: "POST",
-      headers: { "Content-Type": "application/x-www-form-urlencoded" },
-      body,
-      signal: controller.signal,
-    });
+  return {
+    name: "file",
+    async get() {
+      if (!fs.existsSync(filePath)) return null;
+      const box = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      const decipher = crypto.createDecipheriv(
+        "aes-256-gcm",
+        key,
+        Buffer.from(box.iv, "base64")
+      );
+      decipher.setAuthTag(Buffer.from(box.tag, "base64"));
+      const plain = Buffer.concat([
+        decipher.update(Buffer.from(box.data, "base64")),
+        decipher.final(),
+      ]);
+      return JSON.parse(plain.toString("utf8"));
+    },
+    async set(r) {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+      const data = Buffer.concat([
+        cipher.update(JSON.stringify({ ...r, ts: nowISO() }), "utf8"),
+        cipher.final(),
+      ]);
+      const box = {
+        v: 1,
+        iv: iv.toString("base64"),
+        tag: cipher.getAuthTag().toString("base64"),
+        data: data.toString("base64"),
+      };
+      const tmp = `${filePath}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(box), { mode: 0o600 });
+      fs.renameSync(tmp, filePath);
+    },
+  };
+}
 
-    const text = await res.text();
-    let json = {};
-    try {
-      json = text ? JSON.parse(text) : {};
-    } catch {
-      json = { raw: text };
+const tokenStores = {
+  memory: () => createMemoryTokenStore(),
+  file: () => {
+    if (!TOKEN_STORE_KEY) {
+      log("WARN", "TOKEN_STORE_NO_KEY", {
+        hint: "ตั้ง TOKEN_STORE_KEY เพื่อเก็บ refresh token ที่หมุนแล้วลงไฟล์ (ตอนนี้เก็บแค่ในหน่วยความจำ)",
+      });
+      return createMemoryTokenStore();
     }
-    if (!res.ok) throw new Error(`MS OAuth error: ${safeJson(json)}`);
-    return json;
-  } finally {
-    clearTimeout(t);
+    return createFileTokenStore(path.join(DATA_DIR, "ms_token.enc"), TOKEN_STORE_KEY);
+  },
+};
+
+function createTokenStore(kind) {
+  const make = tokenStores[kind];
+  if (!make) {
+    log("WARN", "TOKEN_STORE_UNKNOWN", { kind, fallback: "memory" });
+    return createMemoryTokenStore();
   }
+  return make();
 }
 
-async function getGraphAccessToken() {
-  const tokenUrl = `https://login.microsoftonline.com/${MS_TENANT}/oauth2/v2.0/token`;
+const tokenStore = createTokenStore(USES_GRAPH ? TOKEN_STORE : "memory");
 
-  const tok = await msPostForm(tokenUrl, {
-    client_id: MS_CLIENT_ID,
+/* -------------------- Microsoft Graph OAuth -------------------- */
+let currentRefreshToken = null; // resolved lazily from tokenStore / env
+let cachedAccessToken = null;
+let cachedAccessTokenExp = 0;
+let accessTokenInflight = null;
+
+const ACCESS_TOKEN_SKEW_MS = 5 * 60 * 1000;
+
+// for alerting + /debug
+const tokenStatus = {
+  store: tokenStore.name,
+  source: null, // store | env
+  lastRefreshAt: null,
+  lastRotatedAt: null,
+  accessTokenExpiresAt: null,
+  failures: 0,
+  lastError: null,
+  lastAlertAt: 0,
+};
+
+async function loadRefreshToken() {
+  if (currentRefreshToken) return currentRefreshToken;
+
+  const seed = fingerprint(MS_REFRESH_TOKEN);
+  let stored = null;
+  try {
+    stored = await tokenStore.get();
+  } catch (e) {
+    log("ERROR", "TOKEN_STORE_READ_FAIL", {
+      store: tokenStore.name,
+      err: String(e?.message || e),
+      hint: "TOKEN_STORE_KEY เปลี่ยนหรือไฟล์เสีย → ใช้ MS_REFRESH_TOKEN จาก env แทน",
+    });
+  }
+
+  if (stored?.refreshToken && stored.seed === seed) {
+    currentRefreshToken = stored.refreshToken;
+    tokenStatus.source = "store";
+  } else {
+    currentRefreshToken = MS_REFRESH_TOKEN;
+    tokenStatus.source = "env";
+  }
+
+  log("INFO", "MS_REFRESH_TOKEN_LOADED", {
+    store: tokenStore.name,
+    source: tokenStatus.source,
+  });
+  return currentRefreshToken;
+}
+
+async function saveRefreshToken(refreshToken) {
+  currentRefreshToken = refreshToken;
+  tokenStatus.lastRotatedAt = nowISO();
+  try {
+    await tokenStore.set({ refreshToken, seed: fingerprint(MS_REFRESH_TOKEN) });
+    log("INFO", "MS_REFRESH_TOKEN_ROTATED", { store: tokenStore.name, persisted: true });
+  } catch (e) {
+    log("ERROR", "MS_REFRESH_TOKEN_PERSIST_FAIL", {
+      store: tokenStore.name,
+      err: String(e?.message || e),
+      hint: "Update MS_REFRESH_TOKEN on Render ASAP (token มีการหมุน)",
+    });
+  }
+}
+
+async function onTokenRefreshFail(err) {
+  const msg = String(err?.message || err);
+  tokenStatus.failures++;
+  tokenStatus.lastError = msg;
+
+  log("ERROR", "MS_TOKEN_REFRESH_FAIL", { failures: tokenStatus.failures, err: msg });
+
+  if (Date.now() - tokenStatus.lastAlertAt < TOKEN_ALERT_INTERVAL_MS) return;
+  tokenStatus.lastAlertAt = Date.now();
+
+  const hint = msg.includes("invalid_grant")
+    ? "refresh token ใช้ไม่ได้แล้ว → รัน get_onedrive_refresh_token.js แล้วตั้ง MS_REFRESH_TOKEN ใหม่"
+    : "อาจเป็นปัญหาเครือข่ายชั่วคราว ระบบจะลองใหม่อัตโนมัติ";
+
+  await notifyAdmin(
+    `⚠️ SavePhotoBot: ขอ Microsoft token ไม่สำเร็จ (${tokenStatus.failures} ครั้ง)\n` +
+      `${hint}\n` +
+      `err=${msg.slice(0, 800)}`,
+    { failures: tokenStatus.failures }
+  );
+}
+
+async function onTokenRefreshOk() {
+  const wasFailing = tokenStatus.failures > 0;
+  tokenStatus.failures = 0;
+  tokenStatus.lastError = null;
+  tokenStatus.lastRefreshAt = nowISO();
+
+  if (wasFailing && tokenStatus.lastAlertAt) {
+    tokenStatus.lastAlertAt = 0;
+    await notifyAdmin("✅ SavePhotoBot: ขอ Microsoft token ได้แล้ว กลับมาอัปโหลดตามปกติ");
+  }
+}
+
+async function msPostForm(url, data) {
+  const body = new URLSearchParams(data);
+
+  const controller = new AbortController();
+  const t = setTimeout(() => controller.abort(), GRAPH_TIMEOUT_MS);
+
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body,
+      signal: controller.signal,
+    });
+
+    const text = await res.text();
+    let json = {};
+    try {
+      json = text ? JSON.parse(text) : {};
+    } catch {
+      json = { raw: text };
+    }
+    if (!res.ok) throw new Error(`MS OAuth error: ${safeJson(json)}`);
+    return json;
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+async function refreshGraphAccessToken() {
+  const tokenUrl = `https://login.microsoftonline.com/${MS_TENANT}/oauth2/v2.0/token`;
+  const refreshToken = await loadRefreshToken();
+
+  const tok = await msPostForm(tokenUrl, {
+    client_id: MS_CLIENT_ID,
     grant_type: "refresh_token",
-    refresh_token: currentRefreshToken,
+    refresh_token: refreshToken,
     scope: MS_SCOPES,
   });
+  if (!tok.access_token) throw new Error("MS OAuth: missing access_token");
 
   if (tok.refresh_token && tok.refresh_token !== currentRefreshToken) {
-    currentRefreshToken = tok.refresh_token;
-    log("WARN", "MS_REFRESH_TOKEN_ROTATED", {
-      hint: "Update MS_REFRESH_TOKEN on Render ASAP (token มีการหมุน)",
-    });
+    await saveRefreshToken(tok.refresh_token);
+  }
+
+  const ttlMs = Math.max(60, Number(tok.expires_in || 3600)) * 1000;
+  cachedAccessToken = tok.access_token;
+  cachedAccessTokenExp = Date.now() + Math.max(60_000, ttlMs - ACCESS_TOKEN_SKEW_MS);
+  tokenStatus.accessTokenExpiresAt = new Date(cachedAccessTokenExp).toISOString();
+
+  return cachedAccessToken;
+}
+
+/**
+ * Cached access token (until expires_in minus skew); concurrent callers
+ * share one refresh request.
+ */
+async function getGraphAccessToken() {
+  if (cachedAccessToken && Date.now() < cachedAccessTokenExp) {
+    return cachedAccessToken;
   }
+  if (accessTokenInflight) return accessTokenInflight;
+
+  accessTokenInflight = refreshGraphAccessToken()
+    .then(async (t) => {
+      await onTokenRefreshOk();
+      return t;
+    })
+    .catch(async (e) => {
+      await onTokenRefreshFail(e);
+      throw e;
+    })
+    .finally(() => {
+      accessTokenInflight = null;
+    });
 
-  return tok.access_token;
+  return accessTokenInflight;
 }
 
 /* -------------------- fetch with timeout + retry -------------------- */
+// counters since boot per backend (GRAPH / S3 / WEBDAV), shown on /admin
+const fetchStats = {};
+// kind (retries only): which retry path, matches the *_RETRY log code
+function countFetch(label, key, kind) {
+  const s = (fetchStats[label] = fetchStats[label] || { calls: 0, retries: 0, gaveUp: 0 });
+  s[key]++;
+  if (key === "retries") retryEventsTotal.inc({ backend: label, kind });
+}
+
 async function fetchWithTimeout(url, options = {}, timeoutMs = GRAPH_TIMEOUT_MS) {
   const controller = new AbortController();
   const t = setTimeout(() => controller.abort(), timeoutMs);
@@ -594,6 +1650,7 @@ async function graphFetch(
 async function graphFetchRetry(url, opts, { max = GRAPH_RETRY_MAX } = {}) {
   let attempt = 0;
   let lastErr = null;
+  countFetch("GRAPH", "calls");
 
   while (attempt <= max) {
     try {
@@ -602,6 +1659,7 @@ async function graphFetchRetry(url, opts, { max = GRAPH_RETRY_MAX } = {}) {
 
       if (isTransientStatus(out.res.status)) {
         const wait = GRAPH_RETRY_BASE_MS * Math.pow(2, attempt);
+        countFetch("GRAPH", "retries", "transient");
         log("WARN", "GRAPH_TRANSIENT_RETRY", {
           status: out.res.status,
           waitMs: wait,
@@ -617,6 +1675,7 @@ async function graphFetchRetry(url, opts, { max = GRAPH_RETRY_MAX } = {}) {
     } catch (e) {
       lastErr = e;
       const wait = GRAPH_RETRY_BASE_MS * Math.pow(2, attempt);
+      countFetch("GRAPH", "retries", "exception");
       log("WARN", "GRAPH_EXCEPTION_RETRY", {
         waitMs: wait,
         attempt,
@@ -627,30 +1686,80 @@ async function graphFetchRetry(url, opts, { max = GRAPH_RETRY_MAX } = {}) {
     }
   }
 
+  countFetch("GRAPH", "gaveUp");
   throw lastErr || new Error("Graph retry failed");
 }
 
+/**
+ * Same retry policy as graphFetchRetry, for non-Graph HTTP backends.
+ * buildRequest() runs per attempt (e.g. to re-sign) -> { url, options }.
+ * Returns the last { res, text } once it is ok / non-transient / out of retries.
+ */
+async function httpFetchRetry(
+  label,
+  buildRequest,
+  { max = GRAPH_RETRY_MAX, timeoutMs = GRAPH_TIMEOUT_MS } = {}
+) {
+  let attempt = 0;
+  countFetch(label, "calls");
+
+  while (true) {
+    const { url, options } = buildRequest();
+    try {
+      const res = await fetchWithTimeout(url, options, timeoutMs);
+      const text = await res.text();
+      if (res.ok || !isTransientStatus(res.status)) return { res, text };
+      if (attempt >= max) {
+        countFetch(label, "gaveUp");
+        return { res, text };
+      }
+
+      countFetch(label, "retries", "transient");
+      const wait = GRAPH_RETRY_BASE_MS * Math.pow(2, attempt);
+      log("WARN", `${label}_TRANSIENT_RETRY`, {
+        status: res.status,
+        waitMs: wait,
+        method: options.method || "GET",
+        attempt,
+      });
+      await sleep(wait);
+      attempt++;
+    } catch (e) {
+      if (attempt >= max) {
+        countFetch(label, "gaveUp");
+        throw e;
+      }
+
+      countFetch(label, "retries", "exception");
+      const wait = GRAPH_RETRY_BASE_MS * Math.pow(2, attempt);
+      log("WARN", `${label}_EXCEPTION_RETRY`, {
+        waitMs: wait,
+        attempt,
+        err: String(e?.message || e),
+      });
+      await sleep(wait);
+      attempt++;
+    }
+  }
+}
+
 /* -------------------- Target Drive (SharePoint or OneDrive) -------------------- */
-let cachedDriveBase = null;
-let cachedDriveBaseTs = 0;
+const driveBaseCache = new Map(); // mode -> { base, ts }
 const DRIVE_CACHE_TTL_MS = 6 * 60 * 60 * 1000;
 
-async function getDriveBase(accessToken) {
-  if (cachedDriveBase && Date.now() - cachedDriveBaseTs < DRIVE_CACHE_TTL_MS) {
-    return cachedDriveBase;
-  }
+async function getDriveBase(accessToken, mode = STORAGE_MODES.find(isGraphMode)) {
+  const cached = driveBaseCache.get(mode);
+  if (cached && Date.now() - cached.ts < DRIVE_CACHE_TTL_MS) return cached.base;
 
-  if (STORAGE_MODE === "onedrive") {
-    cachedDriveBase = "https://graph.microsoft.com/v1.0/me/drive";
-    cachedDriveBaseTs = Date.now();
-    return cachedDriveBase;
-  }
+  const base = await resolveDriveBase(accessToken, mode);
+  driveBaseCache.set(mode, { base, ts: Date.now() });
+  return base;
+}
 
-  if (SP_DRIVE_ID) {
-    cachedDriveBase = `https://graph.microsoft.com/v1.0/drives/${SP_DRIVE_ID}`;
-    cachedDriveBaseTs = Date.now();
-    return cachedDriveBase;
-  }
+async function resolveDriveBase(accessToken, mode) {
+  if (mode === "onedrive") return "https://graph.microsoft.com/v1.0/me/drive";
+
+  if (SP_DRIVE_ID) return `https://graph.microsoft.com/v1.0/drives/${SP_DRIVE_ID}`;
 
   const siteUrl = `https://graph.microsoft.com/v1.0/sites/${SP_HOSTNAME}:${SP_SITE_PATH}`;
   const site = await graphFetchRetry(siteUrl, { accessToken });
@@ -676,9 +1785,7 @@ async function getDriveBase(accessToken) {
 
   if (!found?.id) throw new Error("No drive found in this site");
 
-  cachedDriveBase = `https://graph.microsoft.com/v1.0/drives/${found.id}`;
-  cachedDriveBaseTs = Date.now();
-  return cachedDriveBase;
+  return `https://graph.microsoft.com/v1.0/drives/${found.id}`;
 }
 
 /* -------------------- Drive folder + upload -------------------- */
@@ -727,14 +1834,19 @@ async function ensureDriveFolder(accessToken, driveBase, folderPath) {
   }
 }
 
+// small files only (<= 4 MB), so reading the whole file keeps memory bounded
 async function uploadSmall(
   accessToken,
   driveBase,
   drivePath,
-  buffer,
-  contentType
+  localFilePath,
+  contentType,
+  conflict = UPLOAD_CONFLICT
 ) {
-  const url = `${driveBase}/root:/${encodeGraphPath(drivePath)}:/content`;
+  const url = `${driveBase}/root:/${encodeGraphPath(
+    drivePath
+  )}:/content?@microsoft.graph.conflictBehavior=${conflict}`;
+  const buffer = await fs.promises.readFile(localFilePath);
 
   const out = await graphFetchRetry(url, {
     accessToken,
@@ -744,11 +1856,31 @@ async function uploadSmall(
     timeoutMs: Math.max(GRAPH_TIMEOUT_MS, 120_000),
   });
 
+  if (out.res.status === 409) throw conflictError(drivePath);
   if (!out.res.ok) throw new Error(`Upload small failed: ${out.text}`);
   return out.json || {};
 }
 
-async function uploadLarge(accessToken, driveBase, drivePath, buffer) {
+/* -------------------- Resumable upload sessions -------------------- */
+/**
+ * A `session` is an optional per-job store { get(), save(s), clear() }.
+ * Saved shape: { uploadUrl, drivePath, total, expirationDateTime, nextExpectedRanges }
+ * so an interrupted large upload continues from the last acknowledged byte.
+ */
+function rangeStart(nextExpectedRanges) {
+  const first = Array.isArray(nextExpectedRanges) ? nextExpectedRanges[0] : "";
+  const n = Number(String(first || "").split("-")[0]);
+  return Number.isFinite(n) ? n : 0;
+}
+
+async function createUploadSession(
+  accessToken,
+  driveBase,
+  drivePath,
+  total,
+  session,
+  conflict = UPLOAD_CONFLICT
+) {
   const createUrl = `${driveBase}/root:/${encodeGraphPath(
     drivePath
   )}:/createUploadSession`;
@@ -757,77 +1889,241 @@ async function uploadLarge(accessToken, driveBase, drivePath, buffer) {
     method: "POST",
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify({
-      item: { "@microsoft.graph.conflictBehavior": "replace" },
+      item: { "@microsoft.graph.conflictBehavior": conflict },
     }),
   });
 
+  if (created.res.status === 409) throw conflictError(drivePath);
   if (!created.res.ok)
     throw new Error(`CreateUploadSession failed: ${created.text}`);
   const uploadUrl = created.json?.uploadUrl;
   if (!uploadUrl) throw new Error("CreateUploadSession: missing uploadUrl");
 
-  const chunkSize = 5 * 1024 * 1024;
-  const total = buffer.length;
+  const sess = {
+    uploadUrl,
+    drivePath,
+    total,
+    expirationDateTime: created.json?.expirationDateTime || null,
+    nextExpectedRanges: ["0-"],
+  };
+  session?.save(sess);
+  return sess;
+}
 
-  let start = 0;
-  while (start < total) {
-    const end = Math.min(start + chunkSize, total);
-    const chunk = buffer.slice(start, end);
+// saved session still usable? -> refreshed session (with server-side ranges) or null
+async function resumeUploadSession(session, drivePath, total) {
+  const saved = session?.get();
+  if (!saved?.uploadUrl) return null;
 
-    let attempt = 0;
-    while (true) {
-      try {
-        const res = await fetchWithTimeout(
-          uploadUrl,
-          {
-            method: "PUT",
-            headers: {
-              "Content-Length": String(chunk.length),
-              "Content-Range": `bytes ${start}-${end - 1}/${total}`,
-            },
-            body: chunk,
+  if (saved.drivePath !== drivePath || saved.total !== total) {
+    session.clear();
+    return null;
+  }
+
+  const exp = Date.parse(saved.expirationDateTime || "");
+  if (exp && exp - Date.now() < 60_000) {
+    log("WARN", "GRAPH_UPLOAD_SESSION_EXPIRED", { drivePath });
+    session.clear();
+    return null;
+  }
+
+  try {
+    const res = await fetchWithTimeout(saved.uploadUrl, { method: "GET" });
+    const json = await res.json().catch(() => null);
+    if (!res.ok || !json) {
+      log("WARN", "GRAPH_UPLOAD_SESSION_GONE", { drivePath, status: res.status });
+      session.clear();
+      return null;
+    }
+
+    const sess = {
+      ...saved,
+      expirationDateTime: json.expirationDateTime || saved.expirationDateTime,
+      nextExpectedRanges: json.nextExpectedRanges || saved.nextExpectedRanges,
+    };
+    session.save(sess);
+    log("INFO", "GRAPH_UPLOAD_SESSION_RESUMED", {
+      drivePath,
+      offset: rangeStart(sess.nextExpectedRanges),
+      total,
+    });
+    return sess;
+  } catch (e) {
+    // network trouble: keep the saved session, the job retry will ask again
+    throw new Error(`Upload session status failed: ${String(e?.message || e)}`);
+  }
+}
+
+// PUT one byte range with transient retry -> { status, json, text }
+async function putUploadChunk(uploadUrl, chunk, start, total) {
+  const end = start + chunk.length;
+  const range = `${start}-${end - 1}/${total}`;
+
+  let attempt = 0;
+  while (true) {
+    try {
+      const res = await fetchWithTimeout(
+        uploadUrl,
+        {
+          method: "PUT",
+          headers: {
+            "Content-Length": String(chunk.length),
+            "Content-Range": `bytes ${range}`,
           },
-          Math.max(GRAPH_TIMEOUT_MS, 120_000)
-        );
+          body: chunk,
+        },
+        Math.max(GRAPH_TIMEOUT_MS, 120_000)
+      );
 
-        if (res.status === 200 || res.status === 201 || res.status === 202)
-          break;
+      const text = await res.text();
+      let json = null;
+      try {
+        json = text ? JSON.parse(text) : null;
+      } catch {}
 
-        const txt = await res.text();
-        if (isTransientStatus(res.status) && attempt < GRAPH_RETRY_MAX) {
-          const wait = GRAPH_RETRY_BASE_MS * Math.pow(2, attempt);
-          log("WARN", "GRAPH_CHUNK_RETRY", {
-            status: res.status,
-            waitMs: wait,
-            range: `${start}-${end - 1}/${total}`,
-          });
-          await sleep(wait);
-          attempt++;
-          continue;
-        }
+      if (isTransientStatus(res.status) && attempt < GRAPH_RETRY_MAX) {
+        const wait = GRAPH_RETRY_BASE_MS * Math.pow(2, attempt);
+        countFetch("GRAPH", "retries", "chunk");
+        log("WARN", "GRAPH_CHUNK_RETRY", {
+          status: res.status,
+          waitMs: wait,
+          range,
+        });
+        await sleep(wait);
+        attempt++;
+        continue;
+      }
+
+      return { status: res.status, json, text };
+    } catch (e) {
+      if (attempt < GRAPH_RETRY_MAX) {
+        const wait = GRAPH_RETRY_BASE_MS * Math.pow(2, attempt);
+        countFetch("GRAPH", "retries", "chunk_exception");
+        log("WARN", "GRAPH_CHUNK_EXCEPTION_RETRY", {
+          waitMs: wait,
+          range,
+          err: String(e?.message || e),
+        });
+        await sleep(wait);
+        attempt++;
+        continue;
+      }
+      throw e;
+    }
+  }
+}
+
+/**
+ * Upload session, reading one chunk at a time from disk so memory stays
+ * at ~UPLOAD_CHUNK_BYTES no matter how big the file is. Progress is saved
+ * to `session` after every acknowledged chunk.
+ */
+async function uploadLarge(
+  accessToken,
+  driveBase,
+  drivePath,
+  localFilePath,
+  total,
+  session = null,
+  conflict = UPLOAD_CONFLICT
+) {
+  let sess =
+    (await resumeUploadSession(session, drivePath, total)) ||
+    (await createUploadSession(
+      accessToken,
+      driveBase,
+      drivePath,
+      total,
+      session,
+      conflict
+    ));
+  let recreated = false;
+  let finalItem = null;
+
+  const chunkBuf = Buffer.alloc(UPLOAD_CHUNK_BYTES);
+  const fh = await fs.promises.open(localFilePath, "r");
+
+  try {
+    let start = rangeStart(sess.nextExpectedRanges);
+    while (start < total) {
+      const end = Math.min(start + UPLOAD_CHUNK_BYTES, total);
+      const { bytesRead } = await fh.read(chunkBuf, 0, end - start, start);
+      if (bytesRead !== end - start)
+        throw new Error(`Short read (${start}-${end - 1}): ${bytesRead} bytes`);
+
+      const out = await putUploadChunk(
+        sess.uploadUrl,
+        chunkBuf.subarray(0, bytesRead),
+        start,
+        total
+      );
+
+      if (out.status === 200 || out.status === 201) {
+        finalItem = out.json;
+        start = total;
+        break;
+      }
+
+      // conflictBehavior "fail" is enforced when the last byte lands
+      if (out.status === 409) {
+        session?.clear();
+        throw conflictError(drivePath);
+      }
+
+      if (out.status === 202) {
+        const ranges = out.json?.nextExpectedRanges;
+        start = ranges ? rangeStart(ranges) : end;
+        sess = { ...sess, nextExpectedRanges: ranges || [`${start}-`] };
+        if (out.json?.expirationDateTime)
+          sess.expirationDateTime = out.json.expirationDateTime;
+        session?.save(sess);
+        continue;
+      }
 
-        throw new Error(
-          `Chunk upload failed (${start}-${end - 1}) status=${res.status}: ${txt}`
+      // session expired / cancelled on the server -> start a fresh one once
+      if ((out.status === 404 || out.status === 410) && !recreated) {
+        log("WARN", "GRAPH_UPLOAD_SESSION_EXPIRED", {
+          drivePath,
+          status: out.status,
+          offset: start,
+        });
+        recreated = true;
+        session?.clear();
+        sess = await createUploadSession(
+          accessToken,
+          driveBase,
+          drivePath,
+          total,
+          session,
+          conflict
         );
-      } catch (e) {
-        if (attempt < GRAPH_RETRY_MAX) {
-          const wait = GRAPH_RETRY_BASE_MS * Math.pow(2, attempt);
-          log("WARN", "GRAPH_CHUNK_EXCEPTION_RETRY", {
-            waitMs: wait,
-            range: `${start}-${end - 1}/${total}`,
-            err: String(e?.message || e),
-          });
-          await sleep(wait);
-          attempt++;
+        start = 0;
+        continue;
+      }
+
+      // fragment overlaps what the server already has -> ask where to continue
+      if (out.status === 416) {
+        const fresh = await resumeUploadSession(session, drivePath, total);
+        if (fresh) {
+          sess = fresh;
+          start = rangeStart(sess.nextExpectedRanges);
           continue;
         }
-        throw e;
       }
-    }
 
-    start = end;
+      throw new Error(
+        `Chunk upload failed (${start}-${end - 1}) status=${out.status}: ${out.text}`
+      );
+    }
+  } finally {
+    await fh.close();
   }
 
+  session?.clear();
+
+  // the final chunk answers with the item (its name may differ after a rename)
+  if (finalItem?.id) return finalItem;
+
   const itemUrl = `${driveBase}/root:/${encodeGraphPath(drivePath)}`;
   const item = await graphFetchRetry(itemUrl, { accessToken }, { max: 2 });
 
@@ -841,67 +2137,795 @@ async function uploadLarge(accessToken, driveBase, drivePath, buffer) {
   return item.json || {};
 }
 
-async function uploadToDrive({
-  folderName,
-  fileName,
-  localFilePath,
-  contentType,
-}) {
-  const accessToken = await getGraphAccessToken();
-  const driveBase = await getDriveBase(accessToken);
-
-  const rootFolder = `${ONEDRIVE_BASE_PATH}/${folderName}`;
-  await ensureDriveFolder(accessToken, driveBase, rootFolder);
+/* -------------------- Storage adapters -------------------- */
+/**
+ * Every destination implements the same shape:
+ *   name
+ *   ensureFolder(folderPath)                                   -> void
+ *   put({ drivePath, localFilePath, contentType, size, session, conflict }) -> item
+ *   stat(drivePath)                                            -> item | null
+ *   link(drivePath)                                            -> url | null
+ *   download(drivePath) -> { url } (pre-authorized) | { url, headers } (proxy) | { filePath } | null
+ *   checksum(item)       -> { algo, value } | null (content hash, compare with fileChecksum)
+ * item = { id, name, size, webUrl }
+ * put() overwrites, except where `handlesConflict` is set: Graph applies
+ * `conflict` (default UPLOAD_CONFLICT) itself.
+ * drivePath is "<root>/<source>/<sender>/<type>/<file>" with "/" separators.
+ */
+function isGraphMode(mode) {
+  return mode === "sharepoint" || mode === "onedrive";
+}
 
-  const drivePath = `${rootFolder}/${fileName}`;
-  const buf = fs.readFileSync(localFilePath);
+function createGraphStorage(mode) {
+  const itemUrl = (driveBase, drivePath) =>
+    `${driveBase}/root:/${encodeGraphPath(drivePath)}`;
 
-  const FOUR_MB = 4 * 1024 * 1024;
-  const item =
-    buf.length <= FOUR_MB
-      ? await uploadSmall(accessToken, driveBase, drivePath, buf, contentType)
-      : await uploadLarge(accessToken, driveBase, drivePath, buf);
+  async function stat(drivePath) {
+    const accessToken = await getGraphAccessToken();
+    const driveBase = await getDriveBase(accessToken, mode);
+    const out = await graphFetchRetry(
+      itemUrl(driveBase, drivePath),
+      { accessToken },
+      { max: 2 }
+    );
+    if (out.res.status === 404) return null;
+    if (!out.res.ok) throw new Error(`Graph stat failed: ${out.text}`);
+    return out.json || null;
+  }
 
   return {
-    webUrl: item.webUrl || null,
-    id: item.id || null,
-    name: item.name || fileName,
-    size: item.size || buf.length,
-    drivePath,
-    storage: STORAGE_MODE,
+    name: mode,
+    handlesConflict: true, // Graph applies UPLOAD_CONFLICT itself
+    async ensureFolder(folderPath) {
+      const accessToken = await getGraphAccessToken();
+      const driveBase = await getDriveBase(accessToken, mode);
+      await ensureDriveFolder(accessToken, driveBase, folderPath);
+    },
+    async put({ drivePath, localFilePath, contentType, size, session, conflict }) {
+      const accessToken = await getGraphAccessToken();
+      const driveBase = await getDriveBase(accessToken, mode);
+
+      const FOUR_MB = 4 * 1024 * 1024;
+      return size <= FOUR_MB
+        ? uploadSmall(accessToken, driveBase, drivePath, localFilePath, contentType, conflict)
+        : uploadLarge(
+            accessToken,
+            driveBase,
+            drivePath,
+            localFilePath,
+            size,
+            session,
+            conflict
+          );
+    },
+    stat,
+    async link(drivePath) {
+      const item = await stat(drivePath);
+      return item?.webUrl || null;
+    },
+    async download(drivePath) {
+      const item = await stat(drivePath);
+      const url = item?.["@microsoft.graph.downloadUrl"]; // short-lived, no auth needed
+      return url ? { url } : null;
+    },
+    checksum(item) {
+      // OneDrive personal reports sha1/sha256, SharePoint / business only quickXor
+      const h = item?.file?.hashes || {};
+      if (h.sha256Hash) return { algo: "sha256", value: h.sha256Hash.toLowerCase() };
+      if (h.sha1Hash) return { algo: "sha1", value: h.sha1Hash.toLowerCase() };
+      if (h.quickXorHash) return { algo: "quickxor", value: h.quickXorHash };
+      return null;
+    },
   };
 }
 
-/* -------------------- Debug route -------------------- */
-app.get("/debug/sharepoint", async (req, res) => {
-  try {
-    const accessToken = await getGraphAccessToken();
-    const driveBase = await getDriveBase(accessToken);
+/**
+ * Local filesystem / mounted NAS: same tree under LOCAL_STORAGE_DIR.
+ * Links only exist when the share is published somewhere (LOCAL_STORAGE_BASE_URL).
+ */
+function createLocalStorage(rootDir) {
+  const root = path.resolve(rootDir);
+
+  function resolveInRoot(drivePath) {
+    const p = path.resolve(root, ...String(drivePath).split("/").filter(Boolean));
+    if (p !== root && !p.startsWith(root + path.sep))
+      throw new Error(`Path escapes LOCAL_STORAGE_DIR: ${drivePath}`);
+    return p;
+  }
 
-    let drivesList = null;
-    if (STORAGE_MODE === "sharepoint" && !SP_DRIVE_ID) {
-      const siteUrl = `https://graph.microsoft.com/v1.0/sites/${SP_HOSTNAME}:${SP_SITE_PATH}`;
-      const site = await graphFetchRetry(siteUrl, { accessToken });
-      const siteId = site.json?.id;
-      if (siteId) {
-        const drives = await graphFetchRetry(
-          `https://graph.microsoft.com/v1.0/sites/${siteId}/drives`,
-          { accessToken }
-        );
-        drivesList = drives.json?.value || null;
-      }
+  function link(drivePath) {
+    if (!LOCAL_STORAGE_BASE_URL) return null;
+    return `${LOCAL_STORAGE_BASE_URL.replace(/\/$/, "")}/${encodeGraphPath(drivePath)}`;
+  }
+
+  async function stat(drivePath) {
+    try {
+      const st = await fs.promises.stat(resolveInRoot(drivePath));
+      return {
+        id: drivePath,
+        name: path.basename(drivePath),
+        size: st.size,
+        webUrl: link(drivePath),
+      };
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
     }
+  }
 
-    res.json({
-      ok: true,
+  return {
+    name: "local",
+    async ensureFolder(folderPath) {
+      await fs.promises.mkdir(resolveInRoot(folderPath), { recursive: true });
+    },
+    async put({ drivePath, localFilePath }) {
+      const dest = resolveInRoot(drivePath);
+      const tmp = `${dest}.part`;
+      // copy then rename so a crash never leaves a half-written original
+      await fs.promises.copyFile(localFilePath, tmp);
+      await fs.promises.rename(tmp, dest);
+      return stat(drivePath);
+    },
+    stat,
+    link: async (drivePath) => link(drivePath),
+    download: async (drivePath) =>
+      (await stat(drivePath)) ? { filePath: resolveInRoot(drivePath) } : null,
+    checksum: async (item) => ({
+      algo: "sha256",
+      value: await fileChecksum(resolveInRoot(item.id), "sha256"),
+    }),
+  };
+}
+
+/* -------------------- S3-compatible (AWS S3 / MinIO) -------------------- */
+/**
+ * Minimal SigV4 client (no SDK): PUT object, multipart upload, HEAD and
+ * presigned GET. Keys are the same drivePath used for the other backends.
+ * Payloads are sent as UNSIGNED-PAYLOAD so parts never need a second read.
+ */
+function sha256Hex(v) {
+  return crypto.createHash("sha256").update(v).digest("hex");
+}
+function hmac(key, v) {
+  return crypto.createHmac("sha256", key).update(v).digest();
+}
+function s3Encode(v) {
+  // RFC 3986 (encodeURIComponent leaves !'()* alone)
+  return encodeURIComponent(v).replace(
+    /[!'()*]/g,
+    (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+}
+function xmlTag(xml, tag) {
+  const m = String(xml || "").match(new RegExp(`<${tag}>([^<]*)</${tag}>`));
+  return m ? m[1] : null;
+}
+
+function createS3Client({
+  endpoint,
+  region,
+  bucket,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle,
+}) {
+  const base = new URL(endpoint);
+
+  function objectUrl(key, query = {}) {
+    const encKey = String(key).split("/").map(s3Encode).join("/");
+    const url = forcePathStyle
+      ? new URL(`${base.origin}/${s3Encode(bucket)}/${encKey}`)
+      : new URL(`${base.protocol}//${bucket}.${base.host}/${encKey}`);
+
+    const qs = Object.keys(query)
+      .sort()
+      .map((k) => `${s3Encode(k)}=${s3Encode(String(query[k]))}`)
+      .join("&");
+    return { url, qs };
+  }
+
+  function signingKey(date) {
+    const kDate = hmac(`AWS4${secretAccessKey}`, date);
+    return hmac(hmac(hmac(kDate, region), "s3"), "aws4_request");
+  }
+
+  function amzNow() {
+    const iso = new Date().toISOString().replace(/[:-]|\.\d{3}/g, "");
+    return { amzDate: iso, date: iso.slice(0, 8) };
+  }
+
+  // -> { url, options } with Authorization header
+  function sign(method, key, { query = {}, headers = {}, body } = {}) {
+    const { url, qs } = objectUrl(key, query);
+    const { amzDate, date } = amzNow();
+    const scope = `${date}/${region}/s3/aws4_request`;
+
+    const signed = {
+      host: url.host,
+      "x-amz-content-sha256": "UNSIGNED-PAYLOAD",
+      "x-amz-date": amzDate,
+    };
+    const names = Object.keys(signed).sort();
+    const canonical = [
+      method,
+      url.pathname,
+      qs,
+      names.map((n) => `${n}:${signed[n]}\n`).join(""),
+      names.join(";"),
+      "UNSIGNED-PAYLOAD",
+    ].join("\n");
+    const toSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonical)].join(
+      "\n"
+    );
+    const signature = hmac(signingKey(date), toSign).toString("hex");
+
+    return {
+      url: `${url.origin}${url.pathname}${qs ? `?${qs}` : ""}`,
+      options: {
+        method,
+        headers: {
+          ...headers,
+          "x-amz-content-sha256": "UNSIGNED-PAYLOAD",
+          "x-amz-date": amzDate,
+          Authorization:
+            `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, ` +
+            `SignedHeaders=${names.join(";")}, Signature=${signature}`,
+        },
+        body,
+      },
+    };
+  }
+
+  function presignGet(key, expiresSec) {
+    const { amzDate, date } = amzNow();
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const query = {
+      "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
+      "X-Amz-Credential": `${accessKeyId}/${scope}`,
+      "X-Amz-Date": amzDate,
+      "X-Amz-Expires": String(expiresSec),
+      "X-Amz-SignedHeaders": "host",
+    };
+    const { url, qs } = objectUrl(key, query);
+    const canonical = [
+      "GET",
+      url.pathname,
+      qs,
+      `host:${url.host}\n`,
+      "host",
+      "UNSIGNED-PAYLOAD",
+    ].join("\n");
+    const toSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonical)].join(
+      "\n"
+    );
+    const signature = hmac(signingKey(date), toSign).toString("hex");
+    return `${url.origin}${url.pathname}?${qs}&X-Amz-Signature=${signature}`;
+  }
+
+  const request = (method, key, opts = {}, retry = {}) =>
+    httpFetchRetry("S3", () => sign(method, key, opts), retry);
+
+  return { request, presignGet };
+}
+
+function createS3Storage() {
+  const s3 = createS3Client({
+    endpoint: S3_ENDPOINT,
+    region: S3_REGION,
+    bucket: S3_BUCKET,
+    accessKeyId: S3_ACCESS_KEY_ID,
+    secretAccessKey: S3_SECRET_ACCESS_KEY,
+    forcePathStyle: S3_FORCE_PATH_STYLE,
+  });
+
+  // S3 parts must be >= 5 MiB (except the last one)
+  const partSize = Math.max(5 * 1024 * 1024, UPLOAD_CHUNK_BYTES);
+  const timeoutMs = Math.max(GRAPH_TIMEOUT_MS, 120_000);
+
+  async function putSingle(key, localFilePath, contentType) {
+    const body = await fs.promises.readFile(localFilePath);
+    const out = await s3.request(
+      "PUT",
+      key,
+      {
+        headers: { "Content-Type": contentType || "application/octet-stream" },
+        body,
+      },
+      { timeoutMs }
+    );
+    if (!out.res.ok)
+      throw new Error(`S3 PUT failed status=${out.res.status}: ${out.text}`);
+  }
+
+  async function createMultipart(key, total, contentType, session) {
+    const out = await s3.request("POST", key, {
+      query: { uploads: "" },
+      headers: { "Content-Type": contentType || "application/octet-stream" },
+    });
+    const uploadId = xmlTag(out.text, "UploadId");
+    if (!out.res.ok || !uploadId)
+      throw new Error(`S3 CreateMultipartUpload failed: ${out.text}`);
+
+    const sess = { uploadId, drivePath: key, total, parts: [] };
+    session?.save(sess);
+    return sess;
+  }
+
+  /**
+   * Multipart upload; every finished part (number + ETag) goes into the
+   * job session so a restart continues with the next part.
+   */
+  async function putMultipart(key, localFilePath, total, contentType, session) {
+    const saved = session?.get();
+    let sess =
+      saved?.uploadId && saved.drivePath === key && saved.total === total
+        ? saved
+        : await createMultipart(key, total, contentType, session);
+    if (sess === saved)
+      log("INFO", "S3_MULTIPART_RESUMED", { key, parts: sess.parts.length, total });
+
+    const buf = Buffer.alloc(partSize);
+    const fh = await fs.promises.open(localFilePath, "r");
+    let recreated = false;
+
+    try {
+      let partNumber = sess.parts.length + 1;
+      let start = sess.parts.length * partSize;
+
+      while (start < total) {
+        const end = Math.min(start + partSize, total);
+        const { bytesRead } = await fh.read(buf, 0, end - start, start);
+        if (bytesRead !== end - start)
+          throw new Error(`Short read (${start}-${end - 1}): ${bytesRead} bytes`);
+
+        const out = await s3.request(
+          "PUT",
+          key,
+          {
+            query: { partNumber, uploadId: sess.uploadId },
+            headers: { "Content-Length": String(bytesRead) },
+            body: buf.subarray(0, bytesRead),
+          },
+          { timeoutMs }
+        );
+
+        // upload aborted / expired on the server -> start a fresh one once
+        if (
+          out.res.status === 404 &&
+          xmlTag(out.text, "Code") === "NoSuchUpload" &&
+          !recreated
+        ) {
+          log("WARN", "S3_MULTIPART_EXPIRED", { key, partNumber });
+          recreated = true;
+          session?.clear();
+          sess = await createMultipart(key, total, contentType, session);
+          partNumber = 1;
+          start = 0;
+          continue;
+        }
+        if (!out.res.ok)
+          throw new Error(
+            `S3 UploadPart ${partNumber} failed status=${out.res.status}: ${out.text}`
+          );
+
+        const etag = out.res.headers.get("etag");
+        sess = { ...sess, parts: [...sess.parts, { partNumber, etag }] };
+        session?.save(sess);
+
+        partNumber++;
+        start = end;
+      }
+    } finally {
+      await fh.close();
+    }
+
+    const xml =
+      "<CompleteMultipartUpload>" +
+      sess.parts
+        .map((p) => `<Part><PartNumber>${p.partNumber}</PartNumber><ETag>${p.etag}</ETag></Part>`)
+        .join("") +
+      "</CompleteMultipartUpload>";
+
+    const done = await s3.request("POST", key, {
+      query: { uploadId: sess.uploadId },
+      headers: { "Content-Type": "application/xml" },
+      body: xml,
+    });
+    // S3 may answer 200 with an <Error> body for CompleteMultipartUpload
+    if (!done.res.ok || xmlTag(done.text, "Code"))
+      throw new Error(`S3 CompleteMultipartUpload failed: ${done.text}`);
+
+    session?.clear();
+  }
+
+  async function stat(key) {
+    const out = await s3.request("HEAD", key, {}, { max: 2 });
+    if (out.res.status === 404) return null;
+    if (!out.res.ok) throw new Error(`S3 HEAD failed status=${out.res.status}`);
+    return {
+      id: key,
+      name: path.basename(key),
+      size: Number(out.res.headers.get("content-length") || 0),
+      webUrl: s3.presignGet(key, S3_PRESIGN_EXPIRES_SEC),
+      etag: String(out.res.headers.get("etag") || "").replace(/"/g, ""),
+    };
+  }
+
+  return {
+    name: "s3",
+    async ensureFolder() {
+      // S3 has no folders: keys carry the full path
+    },
+    async put({ drivePath, localFilePath, contentType, size, session }) {
+      if (size <= partSize) await putSingle(drivePath, localFilePath, contentType);
+      else await putMultipart(drivePath, localFilePath, size, contentType, session);
+
+      return {
+        id: drivePath,
+        name: path.basename(drivePath),
+        size,
+        webUrl: s3.presignGet(drivePath, S3_PRESIGN_EXPIRES_SEC),
+      };
+    },
+    stat,
+    link: async (drivePath) => s3.presignGet(drivePath, S3_PRESIGN_EXPIRES_SEC),
+    download: async (drivePath) => ({ url: s3.presignGet(drivePath, 300) }),
+    checksum(item) {
+      // plain PUT: MD5 of the body; multipart: MD5 of the part MD5s + "-<parts>"
+      const etag = String(item?.etag || "");
+      if (/^[0-9a-f]{32}$/.test(etag)) return { algo: "md5", value: etag };
+      if (/^[0-9a-f]{32}-\d+$/.test(etag)) return { algo: `md5-parts:${partSize}`, value: etag };
+      return null; // e.g. SSE-KMS: the ETag is not a content hash
+    },
+  };
+}
+
+/* -------------------- WebDAV (Nextcloud / ownCloud) -------------------- */
+/**
+ * Folders via MKCOL (like ensureDriveFolder does with Graph children),
+ * files via PUT. Large files use Nextcloud chunked upload v2 when an
+ * uploads endpoint is known: MKCOL uploads/<id>, PUT numbered chunks,
+ * MOVE .file to the destination. Finished chunk count is kept in the job
+ * session so a restart continues with the next chunk.
+ */
+function createWebdavStorage() {
+  const baseUrl = WEBDAV_URL.replace(/\/+$/, "");
+  const auth = `Basic ${Buffer.from(`${WEBDAV_USERNAME}:${WEBDAV_PASSWORD}`).toString("base64")}`;
+
+  // https://host/remote.php/dav/files/<user> -> https://host/remote.php/dav/uploads/<user>
+  const uploadsUrl =
+    WEBDAV_UPLOADS_URL.replace(/\/+$/, "") ||
+    (/\/remote\.php\/dav\/files\//.test(baseUrl)
+      ? baseUrl.replace("/remote.php/dav/files/", "/remote.php/dav/uploads/")
+      : "");
+  const chunked = WEBDAV_CHUNKED && !!uploadsUrl;
+
+  // Nextcloud chunks must be >= 5 MB (except the last one)
+  const chunkSize = Math.max(5 * 1024 * 1024, UPLOAD_CHUNK_BYTES);
+  const timeoutMs = Math.max(GRAPH_TIMEOUT_MS, 120_000);
+  const knownFolders = new Set();
+
+  const davUrl = (p) => `${baseUrl}/${encodeGraphPath(p)}`;
+
+  const request = (method, url, { headers = {}, body } = {}, retry = {}) =>
+    httpFetchRetry(
+      "WEBDAV",
+      () => ({
+        url,
+        options: { method, headers: { Authorization: auth, ...headers }, body },
+      }),
+      retry
+    );
+
+  async function mkcol(url, headers = {}) {
+    const out = await request("MKCOL", url, { headers }, { max: 2 });
+    // 405 = already exists
+    if (out.res.status !== 201 && out.res.status !== 405)
+      throw new Error(`MKCOL failed status=${out.res.status}: ${out.text}`);
+  }
+
+  async function putChunked(drivePath, localFilePath, total, session) {
+    const destination = davUrl(drivePath);
+    const saved = session?.get();
+    let sess =
+      saved?.uploadId && saved.drivePath === drivePath && saved.total === total
+        ? saved
+        : null;
+
+    async function startUpload() {
+      const s = { uploadId: `savephoto-${rid()}${rid()}`, drivePath, total, chunks: 0 };
+      // chunking v2 wants the target path on MKCOL as well as on every chunk
+      await mkcol(`${uploadsUrl}/${s.uploadId}`, { Destination: destination });
+      session?.save(s);
+      return s;
+    }
+    if (!sess) sess = await startUpload();
+    else log("INFO", "WEBDAV_CHUNKED_RESUMED", { drivePath, chunks: sess.chunks, total });
+
+    const buf = Buffer.alloc(chunkSize);
+    const fh = await fs.promises.open(localFilePath, "r");
+    let recreated = false;
+
+    try {
+      let start = sess.chunks * chunkSize;
+      while (start < total) {
+        const end = Math.min(start + chunkSize, total);
+        const { bytesRead } = await fh.read(buf, 0, end - start, start);
+        if (bytesRead !== end - start)
+          throw new Error(`Short read (${start}-${end - 1}): ${bytesRead} bytes`);
+
+        const n = sess.chunks + 1;
+        const out = await request(
+          "PUT",
+          `${uploadsUrl}/${sess.uploadId}/${String(n).padStart(5, "0")}`,
+          {
+            headers: {
+              Destination: destination,
+              "OC-Total-Length": String(total),
+              "Content-Length": String(bytesRead),
+            },
+            body: buf.subarray(0, bytesRead),
+          },
+          { timeoutMs }
+        );
+
+        // upload folder cleaned up on the server (expired) -> start over once
+        if (out.res.status === 404 && sess.chunks > 0 && !recreated) {
+          log("WARN", "WEBDAV_CHUNKED_EXPIRED", { drivePath, chunk: n });
+          session?.clear();
+          sess = await startUpload();
+          recreated = true;
+          start = 0;
+          continue;
+        }
+        if (!out.res.ok)
+          throw new Error(`WebDAV chunk ${n} failed status=${out.res.status}: ${out.text}`);
+
+        sess = { ...sess, chunks: n };
+        session?.save(sess);
+        start = end;
+      }
+    } finally {
+      await fh.close();
+    }
+
+    const moved = await request(
+      "MOVE",
+      `${uploadsUrl}/${sess.uploadId}/.file`,
+      {
+        headers: {
+          Destination: destination,
+          "OC-Total-Length": String(total),
+          "OC-Checksum": `SHA1:${await fileChecksum(localFilePath, "sha1")}`,
+          Overwrite: "T",
+        },
+      },
+      { timeoutMs }
+    );
+    if (!moved.res.ok)
+      throw new Error(`WebDAV assemble failed status=${moved.res.status}: ${moved.text}`);
+
+    session?.clear();
+  }
+
+  async function stat(drivePath) {
+    const out = await request(
+      "PROPFIND",
+      davUrl(drivePath),
+      {
+        headers: { Depth: "0", "Content-Type": "application/xml" },
+        body:
+          '<?xml version="1.0"?>' +
+          '<d:propfind xmlns:d="DAV:" xmlns:oc="http://owncloud.org/ns"><d:prop>' +
+          "<d:getcontentlength/><oc:checksums/></d:prop></d:propfind>",
+      },
+      { max: 2 }
+    );
+    if (out.res.status === 404) return null;
+    if (!out.res.ok) throw new Error(`PROPFIND failed status=${out.res.status}`);
+
+    const m = out.text.match(/<[a-z]*:?getcontentlength>(\d+)</i);
+    const sums = out.text.match(/<[a-z]*:?checksum>([^<]*)</i); // "SHA1:.. MD5:.. ADLER32:.."
+    return {
+      id: drivePath,
+      name: path.basename(drivePath),
+      size: m ? Number(m[1]) : null,
+      webUrl: davUrl(drivePath),
+      checksums: sums ? sums[1] : "",
+    };
+  }
+
+  return {
+    name: "webdav",
+    async ensureFolder(folderPath) {
+      const parts = String(folderPath).split("/").filter(Boolean);
+      let current = "";
+      for (const p of parts) {
+        current = current ? `${current}/${p}` : p;
+        if (knownFolders.has(current)) continue;
+        await mkcol(davUrl(current));
+        knownFolders.add(current);
+      }
+    },
+    async put({ drivePath, localFilePath, contentType, size, session }) {
+      if (chunked && size > chunkSize) {
+        await putChunked(drivePath, localFilePath, size, session);
+      } else {
+        // plain PUT streamed from disk (new stream per attempt)
+        const url = davUrl(drivePath);
+        const sha1 = await fileChecksum(localFilePath, "sha1"); // kept by Nextcloud / ownCloud
+        const out = await httpFetchRetry(
+          "WEBDAV",
+          () => ({
+            url,
+            options: {
+              method: "PUT",
+              headers: {
+                Authorization: auth,
+                "Content-Type": contentType || "application/octet-stream",
+                "Content-Length": String(size),
+                "OC-Checksum": `SHA1:${sha1}`,
+              },
+              body: fs.createReadStream(localFilePath),
+              duplex: "half",
+            },
+          }),
+          { timeoutMs }
+        );
+        if (!out.res.ok)
+          throw new Error(`WebDAV PUT failed status=${out.res.status}: ${out.text}`);
+      }
+
+      return {
+        id: drivePath,
+        name: path.basename(drivePath),
+        size,
+        webUrl: davUrl(drivePath),
+      };
+    },
+    stat,
+    link: async (drivePath) => davUrl(drivePath),
+    download: async (drivePath) => ({
+      url: davUrl(drivePath),
+      headers: { Authorization: auth }, // server has to fetch it for the browser
+    }),
+    checksum(item) {
+      // only what the client sent as OC-Checksum (or the server computed); else unknown
+      for (const [algo, re] of [
+        ["sha256", /SHA256:([0-9a-f]{64})/i],
+        ["sha1", /SHA1:([0-9a-f]{40})/i],
+        ["md5", /MD5:([0-9a-f]{32})/i],
+      ]) {
+        const m = String(item?.checksums || "").match(re);
+        if (m) return { algo, value: m[1].toLowerCase() };
+      }
+      return null;
+    },
+  };
+}
+
+const storageFactories = {
+  sharepoint: () => createGraphStorage("sharepoint"),
+  onedrive: () => createGraphStorage("onedrive"),
+  local: () => createLocalStorage(LOCAL_STORAGE_DIR),
+  s3: () => createS3Storage(),
+  webdav: () => createWebdavStorage(),
+};
+
+// first mode is the primary (its link goes into the notification first), the rest are mirrors
+const storages = STORAGE_MODES.map((mode) => storageFactories[mode]());
+
+/* -------------------- Name conflicts -------------------- */
+// permanent: retrying cannot help, the job fails right away
+function conflictError(drivePath) {
+  const e = new Error(`CONFLICT: ${drivePath} already exists (UPLOAD_CONFLICT=fail)`);
+  e.permanent = true;
+  return e;
+}
+
+// "a/b/x.jpg" -> "a/b/x_1.jpg"
+function suffixedPath(drivePath, n) {
+  const ext = path.posix.extname(drivePath);
+  const stem = ext ? drivePath.slice(0, -ext.length) : drivePath;
+  return `${stem}_${n}${ext}`;
+}
+
+/**
+ * UPLOAD_CONFLICT for backends that silently overwrite (local, S3, WebDAV).
+ * Graph resolves it server-side (handlesConflict).
+ */
+async function resolveConflict(target, drivePath) {
+  if (target.handlesConflict || UPLOAD_CONFLICT === "replace") return drivePath;
+  if (!(await target.stat(drivePath))) return drivePath;
+  if (UPLOAD_CONFLICT === "fail") throw conflictError(drivePath);
+
+  for (let n = 1; n <= 999; n++) {
+    const candidate = suffixedPath(drivePath, n);
+    if (!(await target.stat(candidate))) {
+      log("INFO", "UPLOAD_NAME_CONFLICT_RENAMED", {
+        storage: target.name,
+        from: drivePath,
+        to: candidate,
+      });
+      return candidate;
+    }
+  }
+  throw new Error(`No free name for ${drivePath}`);
+}
+
+async function uploadToDrive({
+  target,
+  folderName,
+  fileName,
+  localFilePath,
+  contentType,
+  session = null,
+}) {
+  const rootFolder = `${ONEDRIVE_BASE_PATH}/${folderName}`;
+  await target.ensureFolder(rootFolder);
+
+  const { size } = await fs.promises.stat(localFilePath);
+
+  // an interrupted upload keeps the name it already picked
+  const saved = session?.get();
+  const drivePath =
+    saved?.drivePath && saved.total === size
+      ? saved.drivePath
+      : await resolveConflict(target, `${rootFolder}/${fileName}`);
+
+  const item =
+    (await target.put({ drivePath, localFilePath, contentType, size, session })) ||
+    {};
+
+  // Graph may have renamed the file (conflictBehavior=rename)
+  const name = item.name || path.posix.basename(drivePath);
+
+  return {
+    webUrl: item.webUrl || null,
+    id: item.id || null,
+    name,
+    size: item.size || size,
+    drivePath: `${rootFolder}/${name}`,
+    storage: target.name,
+  };
+}
+
+/* -------------------- Debug route -------------------- */
+app.get("/debug/sharepoint", async (req, res) => {
+  try {
+    const accessToken = USES_GRAPH ? await getGraphAccessToken() : null;
+    const driveBase = USES_GRAPH ? await getDriveBase(accessToken) : null;
+
+    let drivesList = null;
+    if (STORAGE_MODES.includes("sharepoint") && !SP_DRIVE_ID) {
+      const siteUrl = `https://graph.microsoft.com/v1.0/sites/${SP_HOSTNAME}:${SP_SITE_PATH}`;
+      const site = await graphFetchRetry(siteUrl, { accessToken });
+      const siteId = site.json?.id;
+      if (siteId) {
+        const drives = await graphFetchRetry(
+          `https://graph.microsoft.com/v1.0/sites/${siteId}/drives`,
+          { accessToken }
+        );
+        drivesList = drives.json?.value || null;
+      }
+    }
+
+    res.json({
+      ok: true,
       STORAGE_MODE,
       ONEDRIVE_BASE_PATH,
       SP_HOSTNAME,
       SP_SITE_PATH,
       SP_DRIVE_NAME,
       SP_DRIVE_ID: SP_DRIVE_ID ? "(set)" : "(not set)",
+      SP_LIST_FIELDS,
       driveBase,
       drivesList,
+      STORAGE_MODES,
+      LOCAL_STORAGE_DIR: STORAGE_MODES.includes("local") ? LOCAL_STORAGE_DIR : undefined,
+      S3_ENDPOINT: STORAGE_MODES.includes("s3") ? S3_ENDPOINT : undefined,
+      S3_BUCKET: STORAGE_MODES.includes("s3") ? S3_BUCKET : undefined,
+      WEBDAV_URL: STORAGE_MODES.includes("webdav") ? WEBDAV_URL : undefined,
       UPLOAD_CONCURRENCY,
       GRAPH_TIMEOUT_MS,
       GRAPH_RETRY_MAX,
@@ -910,374 +2934,3184 @@ app.get("/debug/sharepoint", async (req, res) => {
       KEEPALIVE_ENABLED,
       KEEPALIVE_INTERVAL_MS,
       ALLOW_VIDEO,
+      ALLOW_AUDIO,
       ALLOW_FILE,
       MAX_VIDEO_MB,
+      MAX_AUDIO_MB,
       MAX_FILE_MB,
+      DEDUPE_POLICY,
+      FILENAME_TEMPLATE,
+      UPLOAD_CONFLICT,
+      TIMEZONE,
+      NAME_TIME_SOURCE,
+      METADATA_SIDECAR,
+      STRIP_GPS,
+      token: tokenStatus,
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+/* -------------------- Safe LINE send helpers -------------------- */
+async function safeReply(replyToken, messages, meta = {}) {
+  if (!replyToken) return;
+  try {
+    await client.replyMessage(replyToken, messages);
+    log("INFO", "LINE_REPLY_OK", meta);
+  } catch (e) {
+    log("ERROR", "LINE_REPLY_FAIL", { ...meta, err: String(e?.message || e) });
+  }
+}
+
+/* -------------------- Content-hash dedupe -------------------- */
+/**
+ * data/hashes.jsonl maps sha256 -> first stored copy
+ *   { hash, messageId, drivePath, webUrl, storage, size, ts }
+ * so the same photo forwarded into several chats / re-sent is detected.
+ * The first job reserves the hash ({ hash, messageId, pending: true }) as
+ * soon as it is checked; under skip/link copies arriving meanwhile wait for
+ * its upload. Entries older than DEDUPE_KEEP_DAYS are pruned (hourly).
+ * DEDUPE_POLICY: skip (don't store) | link (don't store, point at the
+ * existing copy) | flag (store anyway, mark in notification) | off
+ */
+const hashIndex = createJournal(path.join(DATA_DIR, "hashes.jsonl"), (r) => r.hash);
+hashIndex.load();
+const HASH_PENDING_RECHECK_MS = 5_000;
+
+function reserveHash(job) {
+  if (DEDUPE_POLICY === "off" || !job.sha256) return;
+  hashIndex.put({ hash: job.sha256, messageId: job.id, pending: true, ts: nowISO() });
+}
+
+// the job ended without storing a copy -> let the next one claim the hash
+function releaseHash(job) {
+  const cur = job.sha256 ? hashIndex.get(job.sha256) : null;
+  if (cur?.pending && cur.messageId === job.id) hashIndex.remove(job.sha256);
+}
+
+function rememberHash(job, name, dest) {
+  const cur = job.sha256 ? hashIndex.get(job.sha256) : null;
+  if (!job.sha256 || (cur && !(cur.pending && cur.messageId === job.id))) return;
+  hashIndex.put({
+    hash: job.sha256,
+    messageId: job.id,
+    drivePath: dest.drivePath,
+    webUrl: dest.webUrl || null,
+    storage: name,
+    size: dest.size || job.size || null,
+    ts: nowISO(),
+  });
+}
+
+// is the indexed copy still there? (skip/link must not point at a deleted file)
+async function duplicateStillExists(prev) {
+  const target = storages.find((s) => s.name === prev.storage) || storages[0];
+  try {
+    return !!(await target.stat(prev.drivePath));
+  } catch (e) {
+    log("WARN", "DEDUPE_STAT_FAIL", {
+      drivePath: prev.drivePath,
+      err: String(e?.message || e),
+    });
+    return false; // storing again is the safe side
+  }
+}
+
+// -> "wait" while another job holds the hash but has not stored it yet
+async function checkDuplicate(job) {
+  const prev =
+    DEDUPE_POLICY !== "off" && job.sha256 ? hashIndex.get(job.sha256) : null;
+
+  if (!prev) {
+    reserveHash(job); // same tick as the lookup: no other job can slip in between
+    return;
+  }
+  if (prev.messageId === job.id) {
+    return;
+  }
+
+  const meta = jobMeta(job);
+  if (prev.pending) {
+    const owner = jobJournal.get(prev.messageId);
+    if (owner && !isFinishedJob(owner)) {
+      if (DEDUPE_POLICY === "flag") return; // stored anyway: nothing to wait for
+      log("INFO", "DEDUPE_PENDING", { ...meta, pendingMessageId: prev.messageId });
+      return "wait";
+    }
+    reserveHash(job); // owner is gone: take over
+    return;
+  }
+  if (DEDUPE_POLICY !== "flag" && !(await duplicateStillExists(prev))) {
+    log("INFO", "DEDUPE_ORIGINAL_MISSING", { ...meta, drivePath: prev.drivePath });
+    reserveHash(job); // this copy becomes the original
+    return;
+  }
+
+  const duplicateOf = {
+    messageId: prev.messageId,
+    drivePath: prev.drivePath,
+    webUrl: prev.webUrl,
+    storage: prev.storage,
+  };
+  updateJob(job, { duplicateOf });
+  log("INFO", "DUPLICATE_CONTENT", { ...meta, policy: DEDUPE_POLICY, duplicateOf });
+
+  if (DEDUPE_POLICY === "skip") {
+    updateJob(job, { state: "skipped", skipReason: "DUPLICATE" });
+    if (imageSetOf(job)) {
+      await albumItemUploaded(job);
+    } else {
+      await notifyAdmin(
+        `♻️ ข้ามไฟล์ซ้ำ\n` +
+          `ที่: ${sourceLabel(job.event)}\n` +
+          `โฟลเดอร์: ${job.folderName}\n` +
+          `ผู้ส่ง: ${job.senderFolder}\n` +
+          `ชนิด: ${job.sub}\n` +
+          `duplicate of ${prev.drivePath}\n` +
+          `messageId: ${job.id}`,
+        meta
+      );
+    }
+    if (DELETE_LOCAL_AFTER_UPLOAD) cleanupLocalFile(job);
+    return;
+  }
+
+  if (DEDUPE_POLICY === "link") {
+    updateJob(job, {
+      state: "done",
+      upload: {
+        webUrl: prev.webUrl,
+        drivePath: prev.drivePath,
+        size: prev.size,
+        storage: prev.storage,
+      },
+    });
+    recordTranscriptMedia(job);
+    if (imageSetOf(job)) {
+      updateJob(job, { notified: true });
+      await albumItemUploaded(job);
+    } else {
+      await notifyJobDone(job);
+      updateJob(job, { notified: true });
+    }
+    if (DELETE_LOCAL_AFTER_UPLOAD) cleanupLocalFile(job);
+  }
+  // flag: fall through, upload as usual
+}
+
+function duplicateLine(job) {
+  const d = job.duplicateOf;
+  const near = job.nearDuplicateOf;
+  if (!d && near)
+    return `🔁 รูปคล้ายของเดิม: near-duplicate of ${near.drivePath} (distance ${near.distance})\n`;
+  if (!d) return "";
+  return DEDUPE_POLICY === "link"
+    ? `♻️ ไฟล์ซ้ำ: duplicate of ${d.drivePath}\n${storageLabel(d.storage)}: ${d.webUrl || d.drivePath}\n`
+    : `⚠️ ไฟล์ซ้ำ: duplicate of ${d.drivePath}\n`;
+}
+
+/* -------------------- Near-duplicate images (perceptual hash) -------------------- */
+/**
+ * dHash: 9x8 greyscale thumbnail, one bit per "left pixel brighter than
+ * right" -> 64-bit hex. Re-sent screenshots / recompressed photos land
+ * within a few bits of each other (Hamming distance <= PHASH_THRESHOLD).
+ * data/phashes.jsonl: { messageId, phash, drivePath, webUrl, storage, ts }
+ */
+let sharpLib;
+function loadSharp() {
+  if (sharpLib !== undefined) return sharpLib;
+  try {
+    sharpLib = require("sharp");
+  } catch (e) {
+    sharpLib = null;
+    log("WARN", "SHARP_UNAVAILABLE", {
+      err: String(e?.message || e),
+      hint: "npm install sharp เพื่อใช้ฟีเจอร์ภาพ (phash/thumbnail)",
     });
+  }
+  return sharpLib;
+}
+
+const phashIndex = createJournal(
+  path.join(DATA_DIR, "phashes.jsonl"),
+  (r) => r.messageId
+);
+phashIndex.load();
+
+async function computeDHash(filePath) {
+  const sharp = loadSharp();
+  if (!sharp) return null;
+
+  const px = await sharp(filePath)
+    .rotate()
+    .greyscale()
+    .resize(9, 8, { fit: "fill" })
+    .raw()
+    .toBuffer();
+
+  let bits = 0n;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      bits = (bits << 1n) | (px[y * 9 + x] > px[y * 9 + x + 1] ? 1n : 0n);
+    }
+  }
+  return bits.toString(16).padStart(16, "0");
+}
+
+function hammingDistance(a, b) {
+  let v = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let n = 0;
+  while (v) {
+    v &= v - 1n;
+    n++;
+  }
+  return n;
+}
+
+function findNearDuplicate(phash, selfId) {
+  let best = null;
+  for (const r of phashIndex.values()) {
+    if (r.messageId === selfId) continue;
+    const distance = hammingDistance(phash, r.phash);
+    if (distance <= PHASH_THRESHOLD && (!best || distance < best.distance))
+      best = { ...r, distance };
+  }
+  return best;
+}
+
+function rememberPhash(job, name, dest) {
+  if (!job.phash || phashIndex.has(job.id)) return;
+  phashIndex.put({
+    messageId: job.id,
+    phash: job.phash,
+    drivePath: dest.drivePath,
+    webUrl: dest.webUrl || null,
+    storage: name,
+    ts: nowISO(),
+  });
+}
+
+async function checkNearDuplicate(job) {
+  if (!PHASH_ENABLED || job.event.message?.type !== "image") return;
+
+  const meta = jobMeta(job);
+  let phash = job.phash || null;
+  if (!phash) {
+    try {
+      phash = await computeDHash(job.filePath);
+    } catch (e) {
+      // not decodable (e.g. odd format): just store it
+      log("WARN", "PHASH_FAIL", { ...meta, err: String(e?.message || e) });
+    }
+    if (!phash) return;
+    updateJob(job, { phash });
+  }
+
+  const near = findNearDuplicate(phash, job.id);
+  if (!near) return;
+
+  const nearDuplicateOf = {
+    messageId: near.messageId,
+    drivePath: near.drivePath,
+    webUrl: near.webUrl,
+    storage: near.storage,
+    distance: near.distance,
+  };
+  updateJob(job, { nearDuplicateOf });
+  log("INFO", "NEAR_DUPLICATE_IMAGE", { ...meta, nearDuplicateOf, skip: PHASH_SKIP });
+
+  if (PHASH_SKIP) {
+    updateJob(job, { state: "skipped", skipReason: "NEAR_DUPLICATE" });
+    if (imageSetOf(job)) {
+      await albumItemUploaded(job);
+    } else {
+      await notifyAdmin(
+        `🔁 ข้ามรูปที่คล้ายของเดิม\n` +
+          `ที่: ${sourceLabel(job.event)}\n` +
+          `โฟลเดอร์: ${job.folderName}\n` +
+          `ผู้ส่ง: ${job.senderFolder}\n` +
+          `near-duplicate of ${near.drivePath} (distance ${near.distance})\n` +
+          `messageId: ${job.id}`,
+        meta
+      );
+    }
+    if (DELETE_LOCAL_AFTER_UPLOAD) cleanupLocalFile(job);
+  }
+}
+
+/* -------------------- EXIF -------------------- */
+/**
+ * Minimal TIFF/EXIF reader (sharp hands us the raw APP1 block, not tags).
+ * Only the tags listed here are decoded; unknown ones are skipped.
+ */
+const EXIF_TAGS = {
+  0x010f: "Make",
+  0x0110: "Model",
+  0x0112: "Orientation",
+  0x0132: "DateTime",
+  0x8769: "ExifIFD",
+  0x8825: "GPSIFD",
+  0x9003: "DateTimeOriginal",
+  0x9011: "OffsetTimeOriginal",
+};
+const GPS_TAGS = {
+  0x0001: "GPSLatitudeRef",
+  0x0002: "GPSLatitude",
+  0x0003: "GPSLongitudeRef",
+  0x0004: "GPSLongitude",
+};
+const EXIF_TYPE_SIZE = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+// TIFF header at `base` ("II" little / "MM" big endian) -> readers, or null
+function tiffView(buf, base) {
+  const order = buf.toString("latin1", base, base + 2);
+  if (order !== "II" && order !== "MM") return null;
+  const le = order === "II";
+  return {
+    u16: (o) => (le ? buf.readUInt16LE(base + o) : buf.readUInt16BE(base + o)),
+    u32: (o) => (le ? buf.readUInt32LE(base + o) : buf.readUInt32BE(base + o)),
+    i32: (o) => (le ? buf.readInt32LE(base + o) : buf.readInt32BE(base + o)),
+  };
+}
+
+function parseExif(buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < 14) return null;
+  const base = buf.toString("latin1", 0, 6) === "Exif\0\0" ? 6 : 0;
+  const t = tiffView(buf, base);
+  if (!t) return null;
+  const { u16, u32, i32 } = t;
+
+  function value(type, count, at) {
+    if (type === 2)
+      return buf.toString("latin1", base + at, base + at + count).replace(/\0+$/, "").trim();
+
+    const out = [];
+    for (let i = 0; i < count; i++) {
+      const o = at + i * EXIF_TYPE_SIZE[type];
+      if (type === 3) out.push(u16(o));
+      else if (type === 4) out.push(u32(o));
+      else if (type === 9) out.push(i32(o));
+      else if (type === 5) out.push(u32(o + 4) ? u32(o) / u32(o + 4) : 0);
+      else if (type === 10) out.push(i32(o + 4) ? i32(o) / i32(o + 4) : 0);
+      else out.push(buf[base + o]);
+    }
+    return count === 1 ? out[0] : out;
+  }
+
+  function readIfd(offset, names, into) {
+    const n = u16(offset);
+    for (let i = 0; i < n; i++) {
+      const entry = offset + 2 + i * 12;
+      const name = names[u16(entry)];
+      const type = u16(entry + 2);
+      if (!name || !EXIF_TYPE_SIZE[type]) continue;
+      const count = u32(entry + 4);
+      const at = EXIF_TYPE_SIZE[type] * count <= 4 ? entry + 8 : u32(entry + 8);
+      into[name] = value(type, count, at);
+    }
+  }
+
+  try {
+    const tags = {};
+    readIfd(u32(4), EXIF_TAGS, tags);
+    if (tags.ExifIFD) readIfd(tags.ExifIFD, EXIF_TAGS, tags);
+    if (tags.GPSIFD) readIfd(tags.GPSIFD, GPS_TAGS, tags);
+    delete tags.ExifIFD;
+    delete tags.GPSIFD;
+    return tags;
+  } catch {
+    return null; // truncated / corrupt block
+  }
+}
+
+// -> tags | null (no sharp, not an image, no EXIF)
+async function readExif(filePath) {
+  const sharp = loadSharp();
+  if (!sharp) return null;
+  try {
+    const { exif } = await sharp(filePath).metadata();
+    return parseExif(exif);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * DateTimeOriginal -> date parts in TIMEZONE.
+ * Without OffsetTimeOriginal the camera's wall clock is taken as-is.
+ */
+function exifTimeParts(tags) {
+  const m = String(tags?.DateTimeOriginal || "").match(
+    /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/
+  );
+  if (!m) return null;
+  const [, yyyy, mm, dd, hh, mi, ss] = m;
+  if (Number(yyyy) < 1990 || Number(mm) < 1 || Number(dd) < 1) return null; // unset camera clock
+
+  const offset = String(tags.OffsetTimeOriginal || "").match(/^([+-])(\d{2}):(\d{2})$/);
+  if (!offset) return { yyyy, mm, dd, hh, mi, ss };
+
+  const sign = offset[1] === "-" ? -1 : 1;
+  const utc =
+    Date.UTC(+yyyy, +mm - 1, +dd, +hh, +mi, +ss) -
+    sign * (Number(offset[2]) * 60 + Number(offset[3])) * 60_000;
+  return dateParts(new Date(utc));
+}
+
+/* -------------------- Media metadata (sidecar / GPS strip) -------------------- */
+/**
+ * job.metadata = { kind, format, width, height, captureTime, camera, gps, durationSec }
+ * Images: sharp + EXIF. Videos: MP4/MOV boxes (mvhd / tkhd / udta ©xyz), no ffprobe needed.
+ */
+const IMAGE_EXTS = ["jpg", "jpeg", "png", "webp", "heic", "heif", "tif", "tiff"];
+const VIDEO_EXTS = ["mp4", "mov", "m4v", "3gp"];
+
+function mediaKind(ext) {
+  const e = String(ext || "").toLowerCase();
+  if (IMAGE_EXTS.includes(e)) return "image";
+  if (VIDEO_EXTS.includes(e)) return "video";
+  return null;
+}
+
+// [deg, min, sec] + "N"/"S"/"E"/"W" -> signed decimal degrees
+function gpsDecimal(dms, ref) {
+  if (!Array.isArray(dms) || dms.length < 3) return null;
+  const v = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  if (!Number.isFinite(v)) return null;
+  return Math.round((ref === "S" || ref === "W" ? -v : v) * 1e6) / 1e6;
+}
+
+// "2020:05:06 07:08:09" (+ "+07:00") -> ISO string; no offset -> local wall clock, no zone
+function exifIsoTime(tags) {
+  const m = String(tags?.DateTimeOriginal || "").match(
+    /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/
+  );
+  if (!m || Number(m[1]) < 1990) return null;
+  const offset = String(tags.OffsetTimeOriginal || "").match(/^[+-]\d{2}:\d{2}$/);
+  return `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}${offset ? offset[0] : ""}`;
+}
+
+async function imageMetadata(filePath) {
+  const sharp = loadSharp();
+  if (!sharp) return null;
+
+  const info = await sharp(filePath).metadata();
+  const tags = parseExif(info.exif) || {};
+  const rotated = info.orientation >= 5; // 90°/270°: swap to the displayed size
+  const lat = gpsDecimal(tags.GPSLatitude, tags.GPSLatitudeRef);
+  const lon = gpsDecimal(tags.GPSLongitude, tags.GPSLongitudeRef);
+
+  return {
+    kind: "image",
+    format: info.format || null,
+    width: (rotated ? info.height : info.width) || null,
+    height: (rotated ? info.width : info.height) || null,
+    captureTime: exifIsoTime(tags),
+    camera: [tags.Make, tags.Model].filter(Boolean).join(" ") || null,
+    gps: lat !== null && lon !== null ? { lat, lon } : null,
+  };
+}
+
+// child boxes of an ISO-BMFF container in buf[start, end)
+function* mp4Boxes(buf, start, end) {
+  let pos = start;
+  while (pos + 8 <= end) {
+    let size = buf.readUInt32BE(pos);
+    let header = 8;
+    if (size === 1) {
+      size = Number(buf.readBigUInt64BE(pos + 8));
+      header = 16;
+    } else if (size === 0) size = end - pos;
+    if (size < header || pos + size > end) return;
+    yield { type: buf.toString("latin1", pos + 4, pos + 8), pos, data: pos + header, end: pos + size };
+    pos += size;
+  }
+}
+
+// top-level moov box -> { buf, offset } (read alone: mdat can be gigabytes)
+async function readMoov(filePath) {
+  const fh = await fs.promises.open(filePath, "r");
+  try {
+    const { size } = await fh.stat();
+    const head = Buffer.alloc(16);
+    let pos = 0;
+    while (pos + 8 <= size) {
+      await fh.read(head, 0, 16, pos);
+      let len = head.readUInt32BE(0);
+      if (len === 1) len = Number(head.readBigUInt64BE(8));
+      else if (len === 0) len = size - pos;
+      if (len < 8) return null;
+
+      if (head.toString("latin1", 4, 8) === "moov") {
+        if (len > 32 * 1024 * 1024) return null;
+        const buf = Buffer.alloc(len);
+        await fh.read(buf, 0, len, pos);
+        return { buf, offset: pos };
+      }
+      pos += len;
+    }
+    return null;
+  } finally {
+    await fh.close();
+  }
+}
+
+async function videoMetadata(filePath) {
+  const moov = await readMoov(filePath);
+  if (!moov) return null;
+  const { buf } = moov;
+
+  const out = {
+    kind: "video",
+    format: path.extname(filePath).slice(1).toLowerCase() || null,
+    width: null,
+    height: null,
+    captureTime: null,
+    camera: null,
+    gps: null,
+    durationSec: null,
+  };
+
+  for (const box of mp4Boxes(buf, 8, buf.length)) {
+    if (box.type === "mvhd") {
+      const v1 = buf[box.data] === 1;
+      // seconds since 1904-01-01
+      const created = v1 ? Number(buf.readBigUInt64BE(box.data + 4)) : buf.readUInt32BE(box.data + 4);
+      const timescale = buf.readUInt32BE(box.data + (v1 ? 20 : 12));
+      const duration = v1 ? Number(buf.readBigUInt64BE(box.data + 24)) : buf.readUInt32BE(box.data + 16);
+      if (timescale) out.durationSec = Math.round((duration / timescale) * 100) / 100;
+      if (created > 0) out.captureTime = new Date((created - 2082844800) * 1000).toISOString();
+    }
+
+    if (box.type === "trak" && !out.width) {
+      for (const inner of mp4Boxes(buf, box.data, box.end)) {
+        if (inner.type !== "tkhd") continue;
+        const at = inner.data + (buf[inner.data] === 1 ? 88 : 76);
+        const w = buf.readUInt32BE(at) / 65536;
+        const h = buf.readUInt32BE(at + 4) / 65536;
+        if (w && h) {
+          out.width = Math.round(w);
+          out.height = Math.round(h);
+        }
+      }
+    }
+
+    if (box.type === "udta") {
+      const text = (b) =>
+        buf.toString("utf8", b.data + 4, b.data + 4 + buf.readUInt16BE(b.data));
+      const camera = [];
+      for (const inner of mp4Boxes(buf, box.data, box.end)) {
+        if (inner.type === "\xa9mak" || inner.type === "\xa9mod") camera.push(text(inner));
+        // ISO 6709, e.g. "+13.7563+100.5018/"
+        const m = inner.type === "\xa9xyz" && text(inner).match(/([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)/);
+        if (m) out.gps = { lat: Number(m[1]), lon: Number(m[2]) };
+      }
+      out.camera = camera.filter(Boolean).join(" ") || null;
+    }
+  }
+
+  return out;
+}
+
+async function extractMetadata(filePath, ext) {
+  const kind = mediaKind(ext);
+  if (kind === "image") return imageMetadata(filePath);
+  if (kind === "video") return videoMetadata(filePath);
+  return null;
+}
+
+/**
+ * Remove location from the copy that gets uploaded. Same-length patches
+ * (JPEG GPS IFD emptied, MP4 ©xyz box renamed to "free") so nothing is
+ * re-encoded; other image formats are re-encoded by sharp without metadata.
+ * -> true when the file changed
+ */
+async function stripGps(filePath, metadata) {
+  if (!metadata?.gps) return false;
+
+  if (metadata.kind === "video") return stripMp4Gps(filePath);
+
+  if (metadata.format === "jpeg") return stripJpegGps(filePath);
+
+  const sharp = loadSharp();
+  if (!sharp) throw new Error("sharp not installed: cannot strip GPS");
+  const tmp = `${filePath}.nogps`;
+  await sharp(filePath).rotate().toFile(tmp); // metadata is dropped by default
+  await fs.promises.rename(tmp, filePath);
+  return true;
+}
+
+async function stripJpegGps(filePath) {
+  const fh = await fs.promises.open(filePath, "r+");
+  try {
+    // APP segments sit at the start; EXIF (APP1) is at most 64 KB
+    const head = Buffer.alloc(256 * 1024);
+    const { bytesRead } = await fh.read(head, 0, head.length, 0);
+    const buf = head.subarray(0, bytesRead);
+    if (buf.readUInt16BE(0) !== 0xffd8) return false;
+
+    let pos = 2;
+    while (pos + 4 <= buf.length && buf[pos] === 0xff) {
+      const marker = buf[pos + 1];
+      const len = buf.readUInt16BE(pos + 2);
+      if (marker === 0xda) break; // start of scan: no more metadata
+
+      if (marker === 0xe1 && buf.toString("latin1", pos + 4, pos + 10) === "Exif\0\0") {
+        const base = pos + 10;
+        const t = tiffView(buf, base);
+        if (!t) return false;
+
+        const ifd0 = t.u32(4);
+        let gps = 0;
+        for (let i = 0; i < t.u16(ifd0); i++) {
+          const entry = ifd0 + 2 + i * 12;
+          if (t.u16(entry) === 0x8825) gps = t.u32(entry + 8);
+        }
+        if (!gps) return false;
+
+        const end = pos + 2 + len;
+        const count = t.u16(gps);
+        for (let i = 0; i < count; i++) {
+          const entry = gps + 2 + i * 12;
+          const size = (EXIF_TYPE_SIZE[t.u16(entry + 2)] || 1) * t.u32(entry + 4);
+          if (size > 4) {
+            const at = base + t.u32(entry + 8);
+            if (at + size <= end) buf.fill(0, at, at + size);
+          }
+          buf.fill(0, base + entry, base + entry + 12);
+        }
+        buf.fill(0, base + gps, base + gps + 2); // entry count -> 0
+
+        await fh.write(buf, pos, end - pos, pos);
+        return true;
+      }
+      pos += 2 + len;
+    }
+    return false;
+  } finally {
+    await fh.close();
+  }
+}
+
+async function stripMp4Gps(filePath) {
+  const moov = await readMoov(filePath);
+  if (!moov) return false;
+
+  const { buf } = moov;
+  for (const box of mp4Boxes(buf, 8, buf.length)) {
+    if (box.type !== "udta") continue;
+    for (const inner of mp4Boxes(buf, box.data, box.end)) {
+      if (inner.type !== "\xa9xyz") continue;
+      // a "free" box is skipped by every player
+      const fh = await fs.promises.open(filePath, "r+");
+      try {
+        await fh.write(Buffer.from("free", "latin1"), 0, 4, moov.offset + inner.pos + 4);
+      } finally {
+        await fh.close();
+      }
+      return true;
+    }
+  }
+  return false;
+}
+
+// "<file>.json" next to the upload; location left out when it was stripped
+async function writeSidecarFile(job) {
+  const sidecar = {
+    messageId: job.id,
+    fileName: job.fileName,
+    source: job.folderName,
+    sender: job.senderFolder,
+    sentAt: eventTime(job).toISOString(),
+    timeZone: TIMEZONE,
+    sha256: job.sha256 || null,
+    size: job.size || null,
+    contentType: job.contentType || null,
+    ...job.metadata,
+    gps: STRIP_GPS ? null : job.metadata?.gps || null,
+  };
+  const p = `${job.filePath}.json`;
+  await fs.promises.writeFile(p, JSON.stringify(sidecar, null, 2));
+  return p;
+}
+
+/* -------------------- Thumbnails / previews -------------------- */
+/**
+ * Small thumb + medium preview per image (video: poster frame via ffmpeg),
+ * uploaded to <root>/<THUMBS_FOLDER>/<same folders>/<name>_thumb|_preview.<ext>
+ * on every destination. Local copies live in images/<THUMBS_FOLDER>/... until cleanup.
+ */
+const PREVIEW_VARIANTS = [
+  { key: "thumb", size: THUMB_SIZE },
+  { key: "preview", size: PREVIEW_SIZE },
+];
+
+let ffmpegAvailable;
+function hasFfmpeg() {
+  if (ffmpegAvailable === undefined) {
+    ffmpegAvailable = new Promise((resolve) => {
+      execFile(FFMPEG_PATH, ["-version"], { timeout: 10_000 }, (err) => {
+        if (err)
+          log("WARN", "FFMPEG_UNAVAILABLE", {
+            err: String(err?.message || err),
+            hint: "ติดตั้ง ffmpeg เพื่อสร้างภาพตัวอย่างวิดีโอ",
+          });
+        resolve(!err);
+      });
+    });
+  }
+  return ffmpegAvailable;
+}
+
+// one frame (1s in, or the first one for very short clips) -> jpeg
+function extractPosterFrame(videoPath, outPath) {
+  const grab = (seek) =>
+    new Promise((resolve, reject) => {
+      execFile(
+        FFMPEG_PATH,
+        ["-y", "-loglevel", "error", "-ss", seek, "-i", videoPath, "-frames:v", "1", outPath],
+        { timeout: 60_000 },
+        (err) => (err ? reject(err) : resolve())
+      );
+    });
+
+  return grab("1")
+    .then(() => fs.promises.stat(outPath))
+    .catch(() => grab("0"));
+}
+
+function previewLocalDir(job) {
+  return path.join(baseImagesDir, THUMBS_FOLDER, job.folderName, job.senderFolder, job.sub);
+}
+
+/**
+ * Local thumb/preview files for the job, created once and reused by retries.
+ * -> { thumb: localPath, preview: localPath } | null
+ */
+async function ensurePreviews(job) {
+  const mtype = job.event.message?.type;
+  const kind = job.metadata?.kind || mediaKind(job.ext);
+  if (mtype === "file" || (kind !== "image" && kind !== "video")) return null;
+
+  const dir = previewLocalDir(job);
+  const stem = job.fileName.replace(/\.[^.]+$/, "");
+  const files = Object.fromEntries(
+    PREVIEW_VARIANTS.map((v) => [v.key, path.join(dir, `${stem}_${v.key}.${THUMB_FORMAT}`)])
+  );
+  if (Object.values(files).every((p) => fs.existsSync(p))) return files;
+
+  const sharp = loadSharp();
+  if (!sharp) return null;
+
+  const meta = jobMeta(job);
+  let source = job.filePath;
+  let poster = null;
+  if (kind === "video" && !(await hasFfmpeg())) return null;
+
+  try {
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    if (kind === "video") {
+      poster = path.join(dir, `${stem}_poster.jpg`);
+      await extractPosterFrame(job.filePath, poster);
+      source = poster;
+    }
+
+    for (const v of PREVIEW_VARIANTS) {
+      const img = sharp(source)
+        .rotate()
+        .resize(v.size, v.size, { fit: "inside", withoutEnlargement: true });
+      await (THUMB_FORMAT === "webp" ? img.webp({ quality: 75 }) : img.jpeg({ quality: 80 })).toFile(
+        files[v.key]
+      );
+    }
+    return files;
+  } catch (e) {
+    log("WARN", "PREVIEW_FAIL", { ...meta, kind, err: String(e?.message || e) });
+    return null;
+  } finally {
+    if (poster) fs.promises.unlink(poster).catch(() => {});
+  }
+}
+
+// "<root>/<folders>/x.jpg" -> "<root>/<THUMBS_FOLDER>/<folders>"
+function previewDriveFolder(drivePath) {
+  const rel = drivePath.slice(ONEDRIVE_BASE_PATH.length + 1);
+  return `${ONEDRIVE_BASE_PATH}/${THUMBS_FOLDER}/${path.posix.dirname(rel)}`;
+}
+
+// best-effort like the sidecar: a missing thumbnail never fails the upload
+async function uploadPreviews(job, target, drivePath, previews) {
+  const folder = previewDriveFolder(drivePath);
+  const stem = path.posix.basename(drivePath).replace(/\.[^.]+$/, "");
+  const dest = job.destinations[target.name];
+
+  try {
+    await target.ensureFolder(folder);
+    for (const v of PREVIEW_VARIANTS) {
+      const localFilePath = previews[v.key];
+      const remote = `${folder}/${stem}_${v.key}.${THUMB_FORMAT}`;
+      const { size } = await fs.promises.stat(localFilePath);
+      const item =
+        (await target.put({
+          drivePath: remote,
+          localFilePath,
+          contentType: mimeFromExt(THUMB_FORMAT),
+          size,
+          conflict: "replace", // regenerated with the file, always overwritten
+        })) || {};
+
+      dest[v.key] = {
+        drivePath: remote,
+        webUrl: item.webUrl || (await target.link(remote).catch(() => null)),
+      };
+    }
+    updateJob(job);
+  } catch (e) {
+    log("WARN", "PREVIEW_UPLOAD_FAIL", {
+      ...jobMeta(job),
+      storage: target.name,
+      err: String(e?.message || e),
+    });
+  }
+}
+
+/* -------------------- Durable upload queue -------------------- */
+/**
+ * Every accepted media messageId becomes a job in data/jobs.jsonl.
+ * States:
+ *   queued      -> accepted from webhook, content not downloaded yet
+ *   downloaded  -> temp file is on disk, waiting for uploadLimiter
+ *   uploading   -> upload in progress (reset to downloaded on boot)
+ *   done        -> uploaded (terminal)
+ *   skipped     -> intentionally not stored, e.g. too large (terminal)
+ *   failed      -> gave up after JOB_RETRY_MAX attempts (terminal)
+ * The webhook only enqueues; the runner downloads/uploads independently
+ * and retries with exponential backoff.
+ */
+const jobJournal = createJournal(path.join(DATA_DIR, "jobs.jsonl"));
+const runningJobs = new Set();
+const jobTimers = new Map();
+
+function eventMeta(event, requestId) {
+  const s = event?.source || {};
+  return {
+    requestId,
+    eventType: event?.type,
+    messageType: event?.message?.type,
+    srcType: s.type,
+    groupTail: s.groupId ? s.groupId.slice(-6) : null,
+    roomTail: s.roomId ? s.roomId.slice(-6) : null,
+    userTail: s.userId ? s.userId.slice(-6) : null,
+    imageSet: event?.message?.imageSet
+      ? `${String(event.message.imageSet.id).slice(-8)}#${event.message.imageSet.index}/${event.message.imageSet.total}`
+      : undefined,
+  };
+}
+function jobMeta(job) {
+  return { ...eventMeta(job.event, job.requestId), messageId: job.id };
+}
+function isFinishedJob(job) {
+  return ["done", "skipped", "failed"].includes(job.state);
+}
+function jobBackoffMs(attempts) {
+  const wait = JOB_RETRY_BASE_MS * Math.pow(2, Math.max(0, attempts - 1));
+  return Math.min(wait, JOB_RETRY_MAX_DELAY_MS);
+}
+
+function updateJob(job, patch = {}) {
+  Object.assign(job, patch, { updatedAt: Date.now() });
+  return jobJournal.put(job);
+}
+
+/**
+ * Retry after a lost response: the file may already be there under its
+ * planned name. Same content (checksum reported by the destination) ->
+ * count it as uploaded instead of writing a copy. No checksum -> upload again.
+ */
+async function alreadyUploaded(job, target) {
+  if (UPLOAD_CONFLICT === "replace") return null;
+  if (job.destinations?.[target.name]?.uploadSession) return null;
+
+  const drivePath = `${ONEDRIVE_BASE_PATH}/${jobDriveFolder(job)}/${job.fileName}`;
+  const item = await target.stat(drivePath).catch(() => null);
+  if (!item || Number(item.size) !== Number(job.size)) return null;
+
+  const sum = await Promise.resolve(target.checksum?.(item)).catch(() => null);
+  if (!sum) return null;
+  const local = await fileChecksum(job.filePath, sum.algo).catch(() => null);
+  if (local !== sum.value) return null;
+
+  log("INFO", "UPLOAD_ALREADY_PRESENT", {
+    ...jobMeta(job),
+    storage: target.name,
+    drivePath,
+    checksum: sum.algo,
+  });
+  return {
+    webUrl: item.webUrl || (await target.link(drivePath).catch(() => null)),
+    id: item.id || null,
+    name: job.fileName,
+    size: item.size,
+    drivePath,
+    storage: target.name,
+  };
+}
+
+// persisted upload session for one destination of this job (see uploadLarge)
+function jobUploadSession(job, name) {
+  const dest = () => {
+    job.destinations = job.destinations || {};
+    job.destinations[name] = job.destinations[name] || {
+      state: "pending",
+      attempts: 0,
+    };
+    return job.destinations[name];
+  };
+  return {
+    get: () => dest().uploadSession || null,
+    save: (s) => {
+      dest().uploadSession = s;
+      updateJob(job);
+    },
+    clear: () => {
+      if (!dest().uploadSession) return;
+      dest().uploadSession = null;
+      updateJob(job);
+    },
+  };
+}
+
+function scheduleJob(job, delayMs = 0) {
+  clearTimeout(jobTimers.get(job.id));
+  const t = setTimeout(() => {
+    jobTimers.delete(job.id);
+    runJob(job.id);
+  }, Math.max(0, delayMs));
+  jobTimers.set(job.id, t);
+}
+
+function enqueueJob(event, { requestId, baseUrl }) {
+  const now = Date.now();
+  const job = updateJob({
+    id: event.message.id,
+    state: "queued",
+    requestId,
+    baseUrl,
+    event,
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+    createdAt: now,
+  });
+  log("INFO", "JOB_ENQUEUED", jobMeta(job));
+  scheduleJob(job, 0);
+  return job;
+}
+
+async function runJob(jobId) {
+  const job = jobJournal.get(jobId);
+  if (!job || isFinishedJob(job) || runningJobs.has(jobId)) return;
+  runningJobs.add(jobId);
+
+  const meta = jobMeta(job);
+
+  try {
+    if (job.state === "downloaded" && !fs.existsSync(job.filePath)) {
+      log("WARN", "JOB_LOCAL_FILE_MISSING", { ...meta, filePath: job.filePath });
+      updateJob(job, { state: "queued" });
+    }
+
+    if (job.state === "queued") {
+      await downloadJob(job);
+      if (job.state === "skipped") return;
+    }
+
+    if (!job.dedupeChecked) {
+      if ((await checkDuplicate(job)) === "wait") {
+        scheduleJob(job, HASH_PENDING_RECHECK_MS); // not an attempt: nothing failed
+        return;
+      }
+      if (isFinishedJob(job)) return;
+      if (!job.duplicateOf) await checkNearDuplicate(job);
+      if (isFinishedJob(job)) return;
+      updateJob(job, { dedupeChecked: true });
+    }
+
+    const failed = await uploadLimiter(async () => {
+      updateJob(job, { state: "uploading" });
+      return uploadToDestinations(job);
+    });
+
+    // notify as soon as the primary copy exists; mirrors may still be retrying
+    const primary = job.destinations?.[storages[0].name];
+    if (primary?.state === "done" && !job.notified) {
+      rememberHash(job, storages[0].name, primary);
+      rememberPhash(job, storages[0].name, primary);
+      updateJob(job, { upload: destinationUpload(storages[0].name, primary) });
+      await applyCaption(job);
+      recordTranscriptMedia(job);
+      if (imageSetOf(job)) {
+        // one message for the whole set instead of one per photo
+        updateJob(job, { notified: true });
+        await albumItemUploaded(job);
+      } else {
+        await notifyJobDone(job);
+        updateJob(job, { notified: true });
+      }
+    }
+
+    if (failed.length) {
+      const e = new Error(
+        failed.map((name) => `${name}: ${job.destinations[name].lastError}`).join(" | ")
+      );
+      e.permanent = failed.every((name) => job.destinations[name].permanent);
+      throw e;
+    }
+
+    updateJob(job, { state: "done", lastError: null });
+    if (DELETE_LOCAL_AFTER_UPLOAD) cleanupLocalFile(job);
+
+    log("INFO", "EVENT_DONE", {
+      ...meta,
+      senderFolder: job.senderFolder,
+      destinations: Object.keys(job.destinations || {}),
+      ms: msSince(job.createdAt),
+    });
+  } catch (err) {
+    const msg = String(err?.message || err);
+    const attempts = (job.attempts || 0) + 1;
+
+    // an interrupted upload goes back to "downloaded" (file is still local)
+    const state = job.state === "uploading" ? "downloaded" : job.state;
+
+    const primaryDone = job.destinations?.[storages[0].name]?.state === "done";
+    if ((attempts > JOB_RETRY_MAX || err?.permanent) && primaryDone) {
+      // the primary copy is stored: only the mirrors gave up
+      const mirrorFailed = Object.keys(job.destinations || {}).filter(
+        (name) => job.destinations[name].state !== "done"
+      );
+      updateJob(job, { state: "done", mirrorFailed, attempts, lastError: msg });
+      if (DELETE_LOCAL_AFTER_UPLOAD) cleanupLocalFile(job);
+
+      log("ERROR", "MIRROR_FAIL", { ...meta, mirrorFailed, err: msg, attempts });
+      rememberFailure({ ...meta, err: msg, attempts });
+      await notifyAdmin(
+        `⚠️ สำเนาสำรองไม่สำเร็จ (ไฟล์หลักอัปโหลดแล้ว)\n` +
+          `messageId=${job.id}\n` +
+          `attempts=${attempts}\n` +
+          `${destinationLines(job).join("\n")}`,
+        meta
+      );
+      return;
+    }
+
+    if (attempts > JOB_RETRY_MAX || err?.permanent) {
+      updateJob(job, { state: "failed", attempts, lastError: msg });
+
+      log("ERROR", "EVENT_FAIL", {
+        ...meta,
+        err: msg,
+        attempts,
+        ms: msSince(job.createdAt),
+      });
+      rememberFailure({ ...meta, err: msg, attempts });
+
+      const dests = Object.keys(job.destinations || {});
+      await notifyAdmin(
+        `❌ SavePhotoBot Error\n` +
+          `req=${job.requestId}\n` +
+          `event=${job.event?.type}/${job.event?.message?.type || "-"}\n` +
+          `src=${job.event?.source?.type}\n` +
+          `messageId=${job.id}\n` +
+          `attempts=${attempts}\n` +
+          (dests.length ? `${destinationLines(job).join("\n")}\n` : "") +
+          `err=${msg.slice(0, 1200)}`,
+        meta
+      );
+      return;
+    }
+
+    const waitMs = jobBackoffMs(attempts);
+    updateJob(job, {
+      state,
+      attempts,
+      lastError: msg,
+      nextAttemptAt: Date.now() + waitMs,
+    });
+
+    log("WARN", "JOB_RETRY_SCHEDULED", {
+      ...meta,
+      state,
+      attempts,
+      waitMs,
+      err: msg,
+    });
+    scheduleJob(job, waitMs);
+  } finally {
+    runningJobs.delete(jobId);
+    if (isFinishedJob(job) && !job.notified) releaseHash(job);
+    if (isFinishedJob(job) || job.notified) recordCatalog(job);
+  }
+}
+
+/**
+ * Upload the temp file to every configured destination that is not done yet.
+ * Per-destination status lives in job.destinations[<mode>]:
+ *   { state: pending|done|failed, attempts, lastError, webUrl, drivePath, size, uploadSession }
+ * Returns the names that still failed (retried on the next job attempt).
+ * Once the primary is done, mirrors out of retries leave the job "done"
+ * with job.mirrorFailed = [names] (see runJob).
+ */
+async function uploadToDestinations(job) {
+  const meta = jobMeta(job);
+  const failed = [];
+  job.destinations = job.destinations || {};
+
+  const sidecarPath =
+    METADATA_SIDECAR && job.metadata ? await writeSidecarFile(job) : null;
+  const previews = THUMBNAILS_ENABLED ? await ensurePreviews(job) : null;
+
+  try {
+    for (const target of storages) {
+      const name = target.name;
+      const prev = job.destinations[name] || { state: "pending", attempts: 0 };
+      if (prev.state === "done") continue;
+
+      try {
+        const existing = prev.attempts > 0 && (await alreadyUploaded(job, target));
+        const t0 = Date.now();
+        const up =
+          existing ||
+          (await uploadToDrive({
+            target,
+            folderName: jobDriveFolder(job),
+            fileName: job.fileName,
+            localFilePath: job.filePath,
+            contentType: mimeFromExt(job.ext),
+            session: jobUploadSession(job, name),
+          }));
+        if (!existing) {
+          uploadDurationSeconds.observe({ storage: name }, (Date.now() - t0) / 1000);
+          storageUploadBytesTotal.inc({ storage: name }, up.size || job.size || 0);
+        }
+        storageUploadsTotal.inc({ storage: name, outcome: "ok" });
+
+        job.destinations[name] = {
+          state: "done",
+          attempts: (prev.attempts || 0) + 1,
+          lastError: null,
+          id: up.id || null,
+          webUrl: up.webUrl,
+          drivePath: up.drivePath,
+          size: up.size,
+          uploadSession: null,
+        };
+        updateJob(job);
+
+        log("INFO", "UPLOADED_DRIVE", {
+          ...meta,
+          storage: name,
+          drivePath: up.drivePath,
+          webUrl: up.webUrl,
+          size: up.size,
+          senderFolder: job.senderFolder,
+          attempts: job.attempts,
+          ms: msSince(job.createdAt),
+        });
+
+        if (sidecarPath) await uploadSidecar(job, target, up.drivePath, sidecarPath);
+        if (previews) await uploadPreviews(job, target, up.drivePath, previews);
+        if (name === "sharepoint") await applyListFields(job);
+      } catch (e) {
+        const err = String(e?.message || e);
+        job.destinations[name] = {
+          ...job.destinations[name],
+          state: "failed",
+          attempts: (prev.attempts || 0) + 1,
+          lastError: err,
+          permanent: !!e?.permanent,
+        };
+        updateJob(job);
+        failed.push(name);
+        storageUploadsTotal.inc({ storage: name, outcome: "error" });
+
+        log("WARN", "UPLOAD_DESTINATION_FAIL", { ...meta, storage: name, err });
+      }
+    }
+  } finally {
+    if (sidecarPath) fs.promises.unlink(sidecarPath).catch(() => {});
+  }
+
+  return failed;
+}
+
+// best-effort: a missing sidecar never fails the upload itself
+async function uploadSidecar(job, target, drivePath, sidecarPath) {
+  try {
+    const { size } = await fs.promises.stat(sidecarPath);
+    await target.put({
+      drivePath: `${drivePath}.json`,
+      localFilePath: sidecarPath,
+      contentType: "application/json",
+      size,
+      conflict: "replace", // belongs to the file, always overwritten
+    });
+    job.destinations[target.name].sidecar = `${drivePath}.json`;
+    updateJob(job);
+  } catch (e) {
+    log("WARN", "SIDECAR_UPLOAD_FAIL", {
+      ...jobMeta(job),
+      storage: target.name,
+      err: String(e?.message || e),
+    });
+  }
+}
+
+function destinationUpload(name, d) {
+  return {
+    webUrl: d.webUrl,
+    drivePath: d.drivePath,
+    size: d.size,
+    storage: name,
+    thumbUrl: d.thumb?.webUrl || null,
+    previewUrl: d.preview?.webUrl || null,
+  };
+}
+
+// one notification line per destination: link/path when done, status otherwise
+function destinationLines(job) {
+  return Object.entries(job.destinations || {}).map(([name, d]) => {
+    const label = storageLabel(name);
+    if (d.state === "done") {
+      const where =
+        d.webUrl ||
+        (isGraphMode(name) ? "(ลิงก์อาจยังไม่พร้อม แต่ไฟล์อัปโหลดแล้ว)" : d.drivePath);
+      return `${label}: ${where}`;
+    }
+    return `${label}: ⏳ ยังไม่สำเร็จ (${String(d.lastError || d.state).slice(0, 200)})`;
+  });
+}
+
+async function downloadJob(job) {
+  const event = job.event;
+  const meta = jobMeta(job);
+  const messageId = job.id;
+  const mtype = event.message?.type;
+
+  // ✅ NO day folder
+  const folderName = await getSourceFolder(event); // group_xxx / room_xxx / private
+  const senderFolder = await getSenderFolder(event); // user_<name>_<tail> or user_<tail>
+  const senderName = await getSenderName(event);
+  const groupName = await getChatName(event);
+  const sub = typeSubFolder(mtype);
+
+  // names/folders use the send time (TIMEZONE), not the upload time
+  const nameValues = { source: folderName, sender: senderFolder, type: sub };
+  let timeParts = dateParts(eventTime(job));
+  let timeSource = "event";
+
+  // drive layout from FOLDER_TEMPLATE (local temp keeps source/sender/type)
+  const imageSet = imageSetOf(job);
+  const folderFor = (parts) =>
+    renderFolderPath(folderTemplateFor(event), {
+      ...nameValues,
+      ...parts,
+      messageId,
+      shortId: String(messageId).slice(-6),
+    }) + (ALBUM_SUBFOLDER && imageSet ? `/${albumFolderName(imageSet)}` : "");
+  let driveFolder = folderFor(timeParts);
+
+  const targetDir = path.join(baseImagesDir, folderName, senderFolder, sub);
+  if (!fs.existsSync(targetDir)) fs.mkdirSync(targetDir, { recursive: true });
+
+  // Fetch content stream
+  const stream = await client.getMessageContent(messageId);
+  const ct = (stream?.headers?.["content-type"] || "").toLowerCase();
+
+  // decide filename/ext ✅ (UPDATED)
+  let ext = extFromContentType(ct);
+  if (!ext) ext = "bin";
+  let original = "";
+
+  if (mtype === "file") {
+    original = sanitizeFileName(event.message.fileName || `file_${messageId}`);
+    const fromNameExt = getExtFromFileName(original);
+    if (fromNameExt) ext = fromNameExt;
+  } else {
+    if (mtype === "video" && (ext === "bin" || !ext)) ext = "mp4";
+    if (mtype === "audio" && (ext === "bin" || !ext)) ext = "m4a";
+  }
+
+  // `keep`: our own already-saved file does not count as a clash
+  const nameFor = (parts, keep = "") => {
+    const values = { ...nameValues, ...parts };
+    // Pretty + keep original name (files)
+    let name = makePrettyFileName(messageId, mtype, ext, original, values);
+
+    // avoid too-long file names for SharePoint (best-effort)
+    if (name.length > 160) {
+      // shorten: keep only pretty base (drop original)
+      name = makePrettyFileName(messageId, mtype, ext, "", values);
+    }
+    if (name.length > 160) {
+      // ultimate fallback
+      name = `${makeFileNamePrefix(messageId, parts)}.${ext}`;
+    }
+
+    // same name in the temp folder (same shortId + second) -> name_1, name_2 ...
+    let free = name;
+    for (let n = 1; free !== keep && fs.existsSync(path.join(targetDir, free)); n++) {
+      free = suffixedPath(name, n);
+    }
+    return free;
+  };
+
+  let fileName = nameFor(timeParts);
+  let filePath = path.join(targetDir, fileName);
+
+  // Save local with limits
+  const maxBytes =
+    mtype === "video"
+      ? MAX_VIDEO_BYTES
+      : mtype === "audio"
+      ? MAX_AUDIO_BYTES
+      : mtype === "file"
+      ? MAX_FILE_BYTES
+      : 0;
+  let saved = null;
+  try {
+    saved = maxBytes
+      ? await saveStreamToFileWithLimit(stream, filePath, maxBytes)
+      : await saveStreamToFile(stream, filePath);
+  } catch (e) {
+    if (!maxBytes || !String(e?.message || e).includes("TOO_LARGE")) throw e;
+
+    const maxMB =
+      mtype === "video" ? MAX_VIDEO_MB : mtype === "audio" ? MAX_AUDIO_MB : MAX_FILE_MB;
+    updateJob(job, {
+      state: "skipped",
+      skipReason: "TOO_LARGE",
+      folderName,
+      senderFolder,
+      sub,
+      fileName,
+    });
+
+    if (mtype === "video" || mtype === "audio") {
+      log("WARN", mtype === "video" ? "VIDEO_TOO_LARGE_SKIPPED" : "AUDIO_TOO_LARGE_SKIPPED", {
+        ...meta,
+        maxMB,
+      });
+
+      await notifyAdmin(
+        `🚫 ข้าม${mtype === "video" ? "วิดีโอ" : "ไฟล์เสียง"} (ใหญ่เกิน ${maxMB}MB)\n` +
+          `ที่: ${sourceLabel(event)}\n` +
+          `โฟลเดอร์: ${folderName}\n` +
+          `ผู้ส่ง: ${senderFolder}\n` +
+          `ชนิด: ${sub}\n` +
+          `messageId: ${messageId}`,
+        meta
+      );
+    } else {
+      log("WARN", "FILE_TOO_LARGE_SKIPPED", { ...meta, maxMB, fileName });
+
+      await notifyAdmin(
+        `🚫 ข้ามไฟล์ (ใหญ่เกิน ${maxMB}MB)\n` +
+          `ที่: ${sourceLabel(event)}\n` +
+          `โฟลเดอร์: ${folderName}\n` +
+          `ผู้ส่ง: ${senderFolder}\n` +
+          `ชนิด: ${sub}\n` +
+          `ไฟล์: ${fileName}\n` +
+          `messageId: ${messageId}`,
+        meta
+      );
+    }
+    return;
+  }
+
+  lineDownloadBytesTotal.inc({ type: mtype }, saved.size);
+
+  // capture time from the photo itself (optional), falls back to send time
+  if (NAME_TIME_SOURCE === "exif" && (mtype === "image" || mtype === "file")) {
+    const shot = exifTimeParts(await readExif(filePath));
+    if (shot) {
+      timeParts = shot;
+      timeSource = "exif";
+      driveFolder = folderFor(timeParts);
+
+      const exifName = nameFor(timeParts, fileName);
+      if (exifName !== fileName) {
+        const exifPath = path.join(targetDir, exifName);
+        await fs.promises.rename(filePath, exifPath);
+        fileName = exifName;
+        filePath = exifPath;
+      }
+    }
+  }
+
+  let metadata = null;
+  let gpsStripped = false;
+  if (mtype === "audio") {
+    // LINE tells the length (ms); no need to parse the container
+    const durationMs = Number(event.message.duration) || null;
+    metadata = {
+      kind: "audio",
+      format: ext,
+      durationSec: durationMs ? Math.round(durationMs / 10) / 100 : null,
+    };
+  } else if (METADATA_ENABLED || STRIP_GPS) {
+    try {
+      try {
+        metadata = await extractMetadata(filePath, ext);
+      } catch (e) {
+        log("WARN", "METADATA_FAIL", { ...meta, err: String(e?.message || e) });
+        // unread metadata may still hold a location: never upload the original
+        if (STRIP_GPS) throw new Error(`GPS check failed: ${e?.message || e}`);
+      }
+      // a failed strip must not upload the location: let the job retry/fail
+      if (STRIP_GPS) gpsStripped = await stripGps(filePath, metadata);
+    } catch (e) {
+      // job never reaches "downloaded", so nothing else knows this file
+      await fs.promises.unlink(filePath).catch(() => {});
+      throw e;
+    }
+  }
+
+  updateJob(job, {
+    state: "downloaded",
+    folderName,
+    senderFolder,
+    senderName,
+    groupName,
+    sub,
+    driveFolder,
+    fileName,
+    filePath,
+    ext,
+    contentType: ct,
+    sha256: saved.sha256,
+    size: gpsStripped ? fs.statSync(filePath).size : saved.size,
+    metadata: METADATA_ENABLED || mtype === "audio" ? metadata : null,
+    durationMs: Number(event.message.duration) || null, // audio/video, from LINE
+    gpsStripped,
+  });
+
+  log("INFO", "SAVED_LOCAL", {
+    ...meta,
+    filePath,
+    contentType: ct,
+    sha256: saved.sha256,
+    size: saved.size,
+    timeSource,
+    gpsStripped,
+    senderFolder,
+    ms: msSince(job.createdAt),
+  });
+}
+
+async function notifyJobDone(job) {
+  const event = job.event;
+  const mtype = event.message?.type;
+  const srcType = event.source?.type;
+  const meta = jobMeta(job);
+
+  // Local view URL (only works if you keep local files; you delete after upload by default)
+  const viewPath =
+    `/images/${encodeURIComponent(job.folderName)}` +
+    `/${encodeURIComponent(job.senderFolder)}` +
+    `/${encodeURIComponent(job.sub)}` +
+    `/${encodeURIComponent(job.fileName)}`;
+
+  const localLink = signImagePath(viewPath);
+  const expires = dateParts(localLink.expiresAt);
+  const localViewUrl =
+    `${job.baseUrl}${localLink.url}` +
+    ` (หมดอายุ ${expires.dd}/${expires.mm} ${expires.hh}:${expires.mi}` +
+    `${IMAGE_URL_SINGLE_USE ? ", เปิดได้ครั้งเดียว" : ""})`;
+
+  const kindLabel =
+    mtype === "image"
+      ? "📸 รูป"
+      : mtype === "video"
+      ? "🎬 วิดีโอ"
+      : mtype === "audio"
+      ? "🎤 ข้อความเสียง"
+      : "📎 ไฟล์";
+
+  const destLines = destinationLines(job);
+
+  // Notify admin (silent in group/room)
+  if (srcType === "group" || srcType === "room") {
+    const msg =
+      `${kindLabel} ใหม่ถูกส่งเข้ามา\n` +
+      `ที่: ${sourceLabel(event)}\n` +
+      `โฟลเดอร์: ${job.folderName}\n` +
+      `ผู้ส่ง: ${job.senderFolder}\n` +
+      `ชนิด: ${job.sub}\n` +
+      `ไฟล์: ${path.posix.basename(job.upload?.drivePath || job.fileName)}\n` +
+      (job.durationMs ? `ความยาว: ${formatDuration(job.durationMs)}\n` : "") +
+      (job.caption ? `📝 ${job.caption.slice(0, 300)}\n` : "") +
+      duplicateLine(job) +
+      (destLines.length ? `${destLines.join("\n")}\n` : "") +
+      (job.upload?.previewUrl ? `🖼️ ตัวอย่าง: ${job.upload.previewUrl}\n` : "") +
+      `Local: ${localViewUrl}`;
+
+    await notifyAdmin(msg, meta);
+  } else if (srcType === "user" && event.replyToken) {
+    // replyToken expires quickly; a retried/resumed job just logs LINE_REPLY_FAIL
+    await safeReply(
+      event.replyToken,
+      [
+        {
+          type: "text",
+          text:
+            `✅ บันทึก${
+              mtype === "image"
+                ? "รูป"
+                : mtype === "video"
+                ? "วิดีโอ"
+                : mtype === "audio"
+                ? "ข้อความเสียง"
+                : "ไฟล์"
+            }แล้วครับ ` + `(อัปโหลดขึ้น ${STORAGE_MODES.join(" + ")} แล้ว)`,
+        },
+      ],
+      meta
+    );
+  }
+}
+
+function cleanupLocalFile(job) {
+  const meta = { ...jobMeta(job), senderFolder: job.senderFolder };
+  try {
+    if (job.filePath && fs.existsSync(job.filePath)) fs.unlinkSync(job.filePath);
+
+    const previewDir = previewLocalDir(job);
+    const stem = String(job.fileName || "").replace(/\.[^.]+$/, "");
+    for (const v of PREVIEW_VARIANTS) {
+      const p = path.join(previewDir, `${stem}_${v.key}.${THUMB_FORMAT}`);
+      if (stem && fs.existsSync(p)) fs.unlinkSync(p);
+    }
+
+    // remove empty sub/sender/source dirs (best-effort)
+    const dirs = [
+      path.join(baseImagesDir, job.folderName, job.senderFolder, job.sub),
+      path.join(baseImagesDir, job.folderName, job.senderFolder),
+      path.join(baseImagesDir, job.folderName),
+      previewDir,
+      path.dirname(previewDir),
+      path.dirname(path.dirname(previewDir)),
+    ];
+    for (const dir of dirs) {
+      try {
+        if (fs.existsSync(dir) && fs.readdirSync(dir).length === 0)
+          fs.rmdirSync(dir);
+      } catch {}
+    }
+
+    log("INFO", "LOCAL_CLEANUP_OK", meta);
+  } catch (e) {
+    log("WARN", "LOCAL_CLEANUP_FAIL", { ...meta, err: String(e?.message || e) });
+  }
+}
+
+/**
+ * Boot: replay the journal, drop old finished jobs, resume the rest.
+ */
+// finished jobs older than JOB_KEEP_FINISHED_HOURS -> dropped from the journal
+function pruneFinishedJobs() {
+  const keepMs = JOB_KEEP_FINISHED_HOURS * 60 * 60 * 1000;
+  const now = Date.now();
+  let pruned = 0;
+
+  for (const job of jobJournal.values()) {
+    if (!isFinishedJob(job) || now - (job.updatedAt || 0) <= keepMs) continue;
+    if (job.state === "failed" && DELETE_LOCAL_AFTER_UPLOAD && job.filePath)
+      cleanupLocalFile(job);
+    jobJournal.remove(job.id);
+    pruned++;
+  }
+  return pruned;
+}
+
+// dedupe entries older than DEDUPE_KEEP_DAYS, and reservations whose job is gone
+function pruneDedupeIndexes() {
+  const cutoff = Date.now() - DEDUPE_KEEP_DAYS * 24 * 60 * 60 * 1000;
+  let pruned = 0;
+
+  for (const r of hashIndex.values()) {
+    const owner = r.pending ? jobJournal.get(r.messageId) : null;
+    const keep = r.pending
+      ? owner && !isFinishedJob(owner) // reserved by a job still running
+      : !(Date.parse(r.ts) < cutoff); // no readable ts -> kept
+    if (keep) continue;
+    hashIndex.remove(r.hash);
+    pruned++;
+  }
+  for (const r of phashIndex.values()) {
+    if (!(Date.parse(r.ts) < cutoff)) continue;
+    phashIndex.remove(r.messageId);
+    pruned++;
+  }
+  return pruned;
+}
+
+function resumeJobs() {
+  jobJournal.load();
+
+  const now = Date.now();
+  const pruned = pruneFinishedJobs();
+  let resumed = 0;
+
+  for (const job of jobJournal.values()) {
+    if (isFinishedJob(job)) continue;
+
+    if (job.state === "uploading") job.state = "downloaded";
+    scheduleJob(job, (job.nextAttemptAt || 0) - now);
+    resumed++;
+  }
+
+  jobJournal.compact();
+  const dedupePruned = pruneDedupeIndexes();
+  hashIndex.compact();
+  phashIndex.compact();
+  const albums = resumeAlbums();
+  resumeTranscripts();
+  log("INFO", "JOBS_RESUMED", {
+    resumed,
+    pruned,
+    dedupePruned,
+    albums,
+    total: jobJournal.size,
+  });
+}
+
+// the process may run for weeks: keep pruning without a restart
+setInterval(() => {
+  const pruned = pruneFinishedJobs();
+  if (pruned) log("INFO", "JOBS_PRUNED", { pruned, total: jobJournal.size });
+  const dedupePruned = pruneDedupeIndexes();
+  if (dedupePruned)
+    log("INFO", "DEDUPE_PRUNED", {
+      pruned: dedupePruned,
+      hashes: hashIndex.size,
+      phashes: phashIndex.size,
+    });
+}, 60 * 60 * 1000).unref?.();
+
+/* -------------------- Albums (imageSet) -------------------- */
+/**
+ * A multi-photo send arrives as separate image events sharing
+ * message.imageSet { id, index, total }. Every photo stays its own job;
+ * the set only adds a shared folder (ALBUM_SUBFOLDER=1) and replaces the
+ * per-photo notification with one message once all `total` are uploaded,
+ * or after ALBUM_NOTIFY_TIMEOUT_MS listing what is still missing.
+ */
+const albumTimers = new Map(); // setId -> timeout
+
+function imageSetOf(job) {
+  const set = job.event?.message?.imageSet;
+  return set?.id ? set : null;
+}
+
+function albumJobs(setId) {
+  return [...jobJournal.values()]
+    .filter((j) => imageSetOf(j)?.id === setId)
+    .sort((a, b) => Number(imageSetOf(a).index) - Number(imageSetOf(b).index));
+}
+
+function albumFolderName(set) {
+  return `album_${sanitizeFolderName(String(set.id).slice(-8))}`;
+}
+
+// uploaded (primary copy) or given up
+function isSettledAlbumItem(job) {
+  return job.notified || isFinishedJob(job);
+}
+
+// album photo uploaded, linked or skipped as a duplicate: flush when the set is complete
+async function albumItemUploaded(job) {
+  const set = imageSetOf(job);
+  const settled = albumJobs(set.id).filter(isSettledAlbumItem);
+  const indexes = new Set(settled.map((j) => Number(imageSetOf(j).index)));
+
+  if (indexes.size >= Number(set.total)) return flushAlbum(set.id, false);
+  if (!albumTimers.has(set.id)) scheduleAlbumFlush(set.id, ALBUM_NOTIFY_TIMEOUT_MS);
+}
+
+function scheduleAlbumFlush(setId, delayMs) {
+  clearTimeout(albumTimers.get(setId));
+  albumTimers.set(
+    setId,
+    setTimeout(() => {
+      albumTimers.delete(setId);
+      flushAlbum(setId, true).catch((e) =>
+        log("ERROR", "ALBUM_FLUSH_FAIL", { setId, err: String(e?.message || e) })
+      );
+    }, Math.max(0, delayMs))
+  );
+}
+
+async function flushAlbum(setId, timedOut) {
+  clearTimeout(albumTimers.get(setId));
+  albumTimers.delete(setId);
+
+  const items = albumJobs(setId);
+  const ready = items.filter((j) => j.notified && !j.albumNotified);
+  // duplicates skipped by checkDuplicate/checkNearDuplicate are only reported here
+  const skippedNow = items.filter((j) => j.state === "skipped" && !j.albumNotified);
+  const reported = [...ready, ...skippedNow];
+  if (!reported.length) return;
+
+  // marked before the await: two photos finishing together must not both send
+  for (const j of reported) updateJob(j, { albumNotified: true });
+
+  log("INFO", "ALBUM_NOTIFY", {
+    ...jobMeta(reported[0]),
+    setId,
+    total: Number(imageSetOf(reported[0]).total),
+    uploaded: ready.length,
+    skipped: skippedNow.length,
+    timedOut,
+  });
+  await notifyAlbum(ready, items, reported);
+}
+
+async function notifyAlbum(ready, items, reported) {
+  const first = reported[0];
+  const event = first.event;
+  const srcType = event.source?.type;
+  const meta = jobMeta(first);
+  const total = Number(imageSetOf(first).total) || items.length;
+
+  const seen = new Set(items.map((j) => Number(imageSetOf(j).index)));
+  const missing = [];
+  for (let i = 1; i <= total; i++) if (!seen.has(i)) missing.push(`#${i}`);
+  const failed = items
+    .filter((j) => j.state === "failed" && !j.notified)
+    .map((j) => `#${imageSetOf(j).index}`);
+  const skipped = items
+    .filter((j) => j.state === "skipped")
+    .map((j) => `#${imageSetOf(j).index}`);
+
+  if (srcType === "group" || srcType === "room") {
+    const photoLines = ready.map((j) => {
+      const name = path.posix.basename(j.upload?.drivePath || j.fileName);
+      const url = j.upload?.webUrl ? `\n   ${j.upload.webUrl}` : "";
+      const dup = j.duplicateOf ? " (♻️ ซ้ำของเดิม)" : "";
+      return `${imageSetOf(j).index}. ${name}${dup}${url}`;
+    });
+
+    const msg =
+      `🖼️ อัลบั้มใหม่ถูกส่งเข้ามา (${ready.length}/${total} รูป)\n` +
+      `ที่: ${sourceLabel(event)}\n` +
+      `โฟลเดอร์: ${jobDriveFolder(first)}\n` +
+      `ผู้ส่ง: ${first.senderFolder}\n` +
+      (first.caption ? `📝 ${first.caption.slice(0, 300)}\n` : "") +
+      (photoLines.length ? `${photoLines.join("\n")}\n` : "") +
+      (missing.length
+        ? `⏳ ยังไม่ได้รับ: ${missing.join(", ")} (รอ ${Math.round(ALBUM_NOTIFY_TIMEOUT_MS / 1000)} วินาที)\n`
+        : "") +
+      (failed.length ? `❌ อัปโหลดไม่สำเร็จ: ${failed.join(", ")}\n` : "") +
+      (skipped.length ? `🔁 ข้าม (ซ้ำ/ใหญ่เกิน): ${skipped.join(", ")}\n` : "") +
+      `storage: ${STORAGE_MODES.join(" + ")}`;
+
+    await notifyAdmin(msg.slice(0, 4900), meta);
+  } else if (srcType === "user") {
+    // newest replyToken has the best chance to still be valid
+    const last = reported[reported.length - 1];
+    if (!last.event.replyToken) return;
+    await safeReply(
+      last.event.replyToken,
+      [
+        {
+          type: "text",
+          text: ready.length
+            ? `✅ บันทึกอัลบั้ม ${ready.length}/${total} รูปแล้วครับ ` +
+              `(อัปโหลดขึ้น ${STORAGE_MODES.join(" + ")} แล้ว)`
+            : `♻️ รูปในอัลบั้มนี้มีอยู่แล้วครับ (ข้ามไฟล์ซ้ำ ${skipped.length}/${total} รูป)`,
+        },
+      ],
+      jobMeta(last)
+    );
+  }
+}
+
+// after restart: sets still waiting for their consolidated notification
+function resumeAlbums() {
+  const pending = new Map(); // setId -> oldest createdAt
+  for (const job of jobJournal.values()) {
+    const set = imageSetOf(job);
+    if (!set || job.albumNotified || !(job.notified || job.state === "skipped")) continue;
+    pending.set(set.id, Math.min(pending.get(set.id) ?? Infinity, job.createdAt || 0));
+  }
+  for (const [setId, createdAt] of pending) {
+    scheduleAlbumFlush(setId, createdAt + ALBUM_NOTIFY_TIMEOUT_MS - Date.now());
+  }
+  return pending.size;
+}
+
+/* -------------------- Captions / hashtags -------------------- */
+/**
+ * A text that quotes a saved item (quotedMessageId), or that the same sender
+ * posts in the same chat within CAPTION_WINDOW_SEC after it, becomes the
+ * item's caption; #hashtags become tags. Albums share one caption.
+ * Stored on the job (caption, tags, captionIds) and written to the Graph driveItem
+ * description; captionIds keeps a redelivered text from being appended twice.
+ */
+function extractTags(text) {
+  const tags = [];
+  for (const m of String(text || "").matchAll(/#([\p{L}\p{N}_-]+)/gu)) {
+    if (!tags.includes(m[1])) tags.push(m[1]);
+  }
+  return tags;
+}
+
+function sameChatAndSender(a, b) {
+  const x = a?.source || {};
+  const y = b?.source || {};
+  return (
+    x.userId === y.userId &&
+    (x.groupId || x.roomId || "") === (y.groupId || y.roomId || "")
+  );
+}
+
+// quoted item, else the sender's latest media in this chat within the window
+function captionTargets(event) {
+  const quoted = event.message?.quotedMessageId;
+  let target = quoted ? jobJournal.get(quoted) : null;
+  if (target && !sameChatAndSender(target.event, event)) target = null;
+
+  if (!target && CAPTION_WINDOW_SEC > 0) {
+    const ts = Number(event.timestamp) || Date.now();
+    for (const job of jobJournal.values()) {
+      const jts = Number(job.event?.timestamp) || job.createdAt;
+      if (ts - jts < 0 || ts - jts > CAPTION_WINDOW_SEC * 1000) continue;
+      if (!sameChatAndSender(job.event, event)) continue;
+      if (!target || jts > (Number(target.event?.timestamp) || target.createdAt)) target = job;
+    }
+  }
+  if (!target) return [];
+
+  const set = imageSetOf(target);
+  return set ? albumJobs(set.id) : [target];
+}
+
+// -> number of items captioned
+async function attachCaption(event, meta) {
+  const text = String(event.message?.text || "").trim();
+  if (!text) return 0;
+
+  const textId = event.message?.id;
+  const targets = captionTargets(event).filter(
+    (j) => j.state !== "skipped" && j.state !== "failed"
+  );
+  const fresh = targets.filter((j) => !(j.captionIds || []).includes(textId));
+  if (targets.length && !fresh.length) {
+    log("WARN", "CAPTION_DUPLICATE_IGNORED", { ...meta, messageId: textId });
+    return targets.length; // still a caption, not a new message
+  }
+
+  for (const job of fresh) {
+    const caption = job.caption ? `${job.caption}\n${text}` : text;
+    const tags = [...new Set([...(job.tags || []), ...extractTags(text)])];
+    const captionIds = [...(job.captionIds || []), textId];
+    updateJob(job, { caption, tags, captionIds });
+
+    // not uploaded yet: runJob applies it after the upload
+    if (job.notified) {
+      await applyCaption(job);
+      await applyListFields(job);
+    }
+    if (isFinishedJob(job) || job.notified) recordCatalog(job);
+  }
+
+  if (fresh.length)
+    log("INFO", "CAPTION_ATTACHED", {
+      ...meta,
+      messageIds: fresh.map((j) => j.id),
+      quoted: !!event.message?.quotedMessageId,
+      tags: fresh[0].tags,
+    });
+  return targets.length;
+}
+
+// best-effort: Graph destinations only (description is a driveItem property)
+async function applyCaption(job) {
+  if (!job.caption) return;
+
+  for (const [name, dest] of Object.entries(job.destinations || {})) {
+    if (!isGraphMode(name) || dest.state !== "done" || !dest.id) continue;
+    try {
+      const accessToken = await getGraphAccessToken();
+      const driveBase = await getDriveBase(accessToken, name);
+      const out = await graphFetchRetry(`${driveBase}/items/${dest.id}`, {
+        accessToken,
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ description: job.caption.slice(0, 1000) }),
+      });
+      if (!out.res.ok) throw new Error(`PATCH description failed: ${out.text}`);
+      log("INFO", "CAPTION_APPLIED", { ...jobMeta(job), storage: name });
+    } catch (e) {
+      log("WARN", "CAPTION_APPLY_FAIL", {
+        ...jobMeta(job),
+        storage: name,
+        err: String(e?.message || e),
+      });
+    }
+  }
+}
+
+/* -------------------- SharePoint list columns -------------------- */
+/**
+ * SP_LIST_FIELDS maps document library columns (internal names) to job values:
+ *   {"LineSender":"senderName","LineGroup":"groupName","SentAt":"sentAt","Tags":"tags"}
+ * Set on the uploaded item's listItem/fields right after the sharepoint upload and
+ * again when a caption arrives. Columns must exist in the library (text, or
+ * date/time for sentAt); a failed PATCH is logged, the upload stays done.
+ * Values are cut to a single-line text column's maxLength (255 by default);
+ * multi-line columns get the full text. Column types are read once from the
+ * library; while that fails every value is cut to 255.
+ */
+const LIST_FIELD_VALUES = {
+  senderName: (job) => job.senderName,
+  senderId: (job) => job.event?.source?.userId,
+  groupName: (job) => job.groupName,
+  chatId: (job) => job.event?.source?.groupId || job.event?.source?.roomId,
+  sourceType: (job) => job.event?.source?.type, // group | room | user
+  sentAt: (job) => new Date(eventTime(job)).toISOString(),
+  messageId: (job) => job.id,
+  messageType: (job) => job.event?.message?.type,
+  tags: (job) => (job.tags || []).join(", "),
+  caption: (job) => job.caption,
+  originalName: (job) => job.event?.message?.fileName,
+  sha256: (job) => job.sha256,
+  captureTime: (job) => job.metadata?.captureTime,
+};
+
+// column internal name -> maxLength, single-line text columns only (cached)
+let textColumnLimits = null;
+function loadTextColumnLimits(accessToken, driveBase) {
+  textColumnLimits ??= graphFetchRetry(
+    `${driveBase}/list/columns?$select=name,text`,
+    { accessToken },
+    { max: 2 }
+  )
+    .then((out) => {
+      if (!out.res.ok) throw new Error(`list columns failed: ${out.text}`);
+      const limits = new Map();
+      for (const c of out.json?.value || []) {
+        if (c.text && !c.text.allowMultipleLines) limits.set(c.name, c.text.maxLength || 255);
+      }
+      return limits;
+    })
+    .catch((e) => {
+      textColumnLimits = null; // ask again next time
+      log("WARN", "SP_COLUMNS_FAIL", { err: String(e?.message || e) });
+      return null;
+    });
+  return textColumnLimits;
+}
+
+// empty values are left out so a later PATCH never blanks a column
+function listFieldValues(job, limits) {
+  const fields = {};
+  for (const [column, field] of Object.entries(SP_LIST_FIELDS)) {
+    const v = LIST_FIELD_VALUES[field](job);
+    if (v === undefined || v === null || v === "") continue;
+    const max = limits ? limits.get(column) : 255;
+    fields[column] = max ? String(v).slice(0, max) : String(v);
+  }
+  return fields;
+}
+
+// best-effort: sharepoint destination only (driveItem.listItem exists in libraries)
+async function applyListFields(job) {
+  const dest = job.destinations?.sharepoint;
+  if (!Object.keys(SP_LIST_FIELDS).length || dest?.state !== "done" || !dest.id) return;
+
+  let fields = {};
+  try {
+    const accessToken = await getGraphAccessToken();
+    const driveBase = await getDriveBase(accessToken, "sharepoint");
+    fields = listFieldValues(job, await loadTextColumnLimits(accessToken, driveBase));
+    if (!Object.keys(fields).length) return;
+
+    const out = await graphFetchRetry(`${driveBase}/items/${dest.id}/listItem/fields`, {
+      accessToken,
+      method: "PATCH",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(fields),
+    });
+    if (!out.res.ok) throw new Error(`PATCH listItem/fields failed: ${out.text}`);
+    log("INFO", "SP_FIELDS_APPLIED", { ...jobMeta(job), columns: Object.keys(fields) });
+  } catch (e) {
+    log("WARN", "SP_FIELDS_FAIL", {
+      ...jobMeta(job),
+      columns: Object.keys(fields),
+      err: String(e?.message || e),
+    });
+  }
+}
+
+/* -------------------- Chat transcript (opt-in) -------------------- */
+/**
+ * Text / sticker / location messages (plus a line per saved media file) are
+ * appended to data/transcripts/<chatId>/<yyyy-mm-dd>.jsonl, then rendered to
+ * .jsonl / .csv / .md and uploaded to <root>/<source>/<TRANSCRIPT_FOLDER>/
+ * on every destination, TRANSCRIPT_FLUSH_MS after the last change.
+ */
+const TRANSCRIPT_TYPES = ["text", "sticker", "location"];
+const transcriptDir = path.join(DATA_DIR, "transcripts");
+const transcriptTimers = new Map(); // "<chatId>/<day>" -> timeout
+
+function transcriptEnabledFor(event) {
+  if (!TRANSCRIPT_ENABLED) return false;
+  return !TRANSCRIPT_CHATS.length || TRANSCRIPT_CHATS.includes(chatKeyOf(event));
+}
+
+// one file set per conversation (private chats: per user)
+function transcriptChatId(event) {
+  const s = event?.source || {};
+  return sanitizeFolderName(s.groupId || s.roomId || s.userId || "unknown");
+}
+
+function transcriptEntry(event, { sourceFolder, senderFolder, media = null }) {
+  const m = event.message || {};
+  const sent = new Date(Number(event.timestamp) || Date.now());
+  const p = dateParts(sent);
+  return {
+    messageId: m.id,
+    ts: sent.toISOString(),
+    day: `${p.yyyy}-${p.mm}-${p.dd}`,
+    time: `${p.hh}:${p.mi}:${p.ss}`,
+    source: sourceFolder,
+    sender: senderFolder,
+    type: m.type,
+    text: m.type === "text" ? m.text || "" : null,
+    sticker: m.type === "sticker" ? { packageId: m.packageId, stickerId: m.stickerId } : null,
+    location:
+      m.type === "location"
+        ? { title: m.title || null, address: m.address || null, lat: m.latitude, lon: m.longitude }
+        : null,
+    media,
+  };
+}
+
+function appendTranscript(event, entry) {
+  const chatId = transcriptChatId(event);
+  const dir = path.join(transcriptDir, chatId);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.appendFileSync(path.join(dir, `${entry.day}.jsonl`), JSON.stringify(entry) + "\n");
+  scheduleTranscriptFlush(chatId, entry.day);
+}
+
+// text / sticker / location straight from the webhook
+async function recordTranscriptMessage(event, meta) {
+  const entry = transcriptEntry(event, {
+    sourceFolder: await getSourceFolder(event),
+    senderFolder: await getSenderFolder(event),
+  });
+  appendTranscript(event, entry);
+  log("INFO", "TRANSCRIPT_RECORDED", { ...meta, messageId: entry.messageId, day: entry.day });
+}
+
+// media line once the primary copy is uploaded
+function recordTranscriptMedia(job) {
+  if (!transcriptEnabledFor(job.event)) return;
+  appendTranscript(
+    job.event,
+    transcriptEntry(job.event, {
+      sourceFolder: job.folderName,
+      senderFolder: job.senderFolder,
+      media: {
+        fileName: path.posix.basename(job.upload?.drivePath || job.fileName),
+        drivePath: job.upload?.drivePath || null,
+        webUrl: job.upload?.webUrl || null,
+      },
+    })
+  );
+}
+
+function scheduleTranscriptFlush(chatId, day, delayMs = TRANSCRIPT_FLUSH_MS) {
+  const key = `${chatId}/${day}`;
+  clearTimeout(transcriptTimers.get(key));
+  transcriptTimers.set(
+    key,
+    setTimeout(() => {
+      transcriptTimers.delete(key);
+      flushTranscript(chatId, day).catch((e) => {
+        log("WARN", "TRANSCRIPT_FLUSH_FAIL", { chatId, day, err: String(e?.message || e) });
+        scheduleTranscriptFlush(chatId, day, Math.max(TRANSCRIPT_FLUSH_MS, 5 * 60_000));
+      });
+    }, delayMs)
+  );
+}
+
+// redelivered webhooks append twice: last line per messageId wins
+function readTranscriptDay(chatId, day) {
+  const byId = new Map();
+  const raw = fs.readFileSync(path.join(transcriptDir, chatId, `${day}.jsonl`), "utf8");
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const e = JSON.parse(line);
+      byId.set(`${e.messageId}:${e.media ? "m" : "t"}`, e);
+    } catch {}
+  }
+  return [...byId.values()].sort((a, b) => String(a.ts).localeCompare(String(b.ts)));
+}
+
+function csvCell(v) {
+  const s = v === null || v === undefined ? "" : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function transcriptCsv(entries) {
+  const head = ["ts", "time", "sender", "type", "text", "sticker", "location", "file", "url"];
+  const rows = entries.map((e) => [
+    e.ts,
+    e.time,
+    e.sender,
+    e.type,
+    e.text,
+    e.sticker ? `${e.sticker.packageId}/${e.sticker.stickerId}` : "",
+    e.location ? `${e.location.lat},${e.location.lon} ${e.location.title || ""}`.trim() : "",
+    e.media?.drivePath || "",
+    e.media?.webUrl || "",
+  ]);
+  return [head, ...rows].map((r) => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+function transcriptMarkdown(entries, day) {
+  const lines = [`# ${entries[0]?.source || "chat"} — ${day}`, ""];
+  for (const e of entries) {
+    let body = "";
+    if (e.media) {
+      const name = e.media.fileName || e.messageId;
+      body = e.media.webUrl ? `[${name}](<${e.media.webUrl}>)` : `\`${e.media.drivePath || name}\``;
+    } else if (e.type === "text") {
+      body = String(e.text || "").replace(/\n/g, "  \n  ");
+    } else if (e.type === "sticker") {
+      body = `🧩 sticker ${e.sticker?.packageId}/${e.sticker?.stickerId}`;
+    } else if (e.type === "location") {
+      const where = [e.location?.title, e.location?.address].filter(Boolean).join(", ");
+      body = `📍 ${where} (${e.location?.lat}, ${e.location?.lon})`;
+    }
+    lines.push(`- **${e.time}** ${e.sender}: ${body}`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+async function flushTranscript(chatId, day) {
+  const entries = readTranscriptDay(chatId, day);
+  if (!entries.length) return;
+
+  const last = entries[entries.length - 1];
+  // private chats share the "private" source folder: keep one file set per user
+  const base = last.source === "private" ? `${day}_${last.sender}` : day;
+  const rendered = {
+    jsonl: entries.map((e) => JSON.stringify(e)).join("\n") + "\n",
+    csv: transcriptCsv(entries),
+    md: transcriptMarkdown(entries, day),
+  };
+  const contentTypes = {
+    jsonl: "application/x-ndjson",
+    csv: "text/csv; charset=utf-8",
+    md: "text/markdown; charset=utf-8",
+  };
+
+  const folder = `${ONEDRIVE_BASE_PATH}/${last.source}/${TRANSCRIPT_FOLDER}`;
+  const outDir = path.join(transcriptDir, chatId, "out");
+  await fs.promises.mkdir(outDir, { recursive: true });
+
+  for (const fmt of TRANSCRIPT_FORMATS) {
+    const localFilePath = path.join(outDir, `${base}.${fmt}`);
+    await fs.promises.writeFile(localFilePath, rendered[fmt]);
+    const { size } = await fs.promises.stat(localFilePath);
+
+    for (const target of storages) {
+      await target.ensureFolder(folder);
+      await target.put({
+        drivePath: `${folder}/${base}.${fmt}`,
+        localFilePath,
+        contentType: contentTypes[fmt],
+        size,
+        conflict: "replace", // the whole day is rewritten each time
+      });
+    }
+  }
+
+  log("INFO", "TRANSCRIPT_UPLOADED", {
+    chatId,
+    day,
+    entries: entries.length,
+    folder,
+    formats: TRANSCRIPT_FORMATS,
+  });
+}
+
+// after restart: re-upload days touched recently (their timers were lost)
+function resumeTranscripts() {
+  if (!TRANSCRIPT_ENABLED || !fs.existsSync(transcriptDir)) return;
+  const since = Date.now() - 48 * 60 * 60 * 1000;
+  for (const chatId of fs.readdirSync(transcriptDir)) {
+    const dir = path.join(transcriptDir, chatId);
+    for (const f of fs.readdirSync(dir)) {
+      if (!f.endsWith(".jsonl")) continue;
+      if (fs.statSync(path.join(dir, f)).mtimeMs < since) continue;
+      scheduleTranscriptFlush(chatId, f.replace(/\.jsonl$/, ""));
+    }
+  }
+}
+
+/* -------------------- Upload catalog + query API -------------------- */
+/**
+ * data/catalog.jsonl keeps one record per saved (or skipped/failed) media
+ * message, long after the job itself is pruned (JOB_KEEP_FINISHED_HOURS).
+ * Written when a job settles and whenever its caption changes.
+ *
+ * GET /api/uploads (Authorization: Bearer <API_TOKEN>, header only)
+ *   ?group=<groupId | name part>&sender=<userId | name part>&type=image,video
+ *   &status=done&from=2024-01-01&to=2024-01-31 (day in TIMEZONE, or ISO time)
+ *   &q=<text in name/caption/tags/path>&limit=50&offset=0
+ * GET /api/uploads/:messageId
+ */
+const catalog = createJournal(path.join(DATA_DIR, "catalog.jsonl"), (r) => r.messageId);
+catalog.load();
+catalog.compact(); // one line per item again
+
+function catalogRecord(job) {
+  const s = job.event?.source || {};
+  const m = job.event?.message || {};
+  const up = job.upload || {};
+  const sent = new Date(eventTime(job));
+  const p = dateParts(sent);
+  const prev = catalog.get(job.id);
+
+  return {
+    messageId: job.id,
+    type: m.type || null,
+    status: isFinishedJob(job) ? job.state : "pending", // pending: mirrors still retrying
+    skipReason: job.skipReason || null,
+    sourceType: s.type || null,
+    chatId: s.groupId || s.roomId || null,
+    groupName: job.groupName || null,
+    sourceFolder: job.folderName || null,
+    senderId: s.userId || null,
+    senderName: job.senderName || null,
+    senderFolder: job.senderFolder || null,
+    fileName: job.fileName || null,
+    originalName: m.fileName || null,
+    size: up.size || job.size || null,
+    sha256: job.sha256 || null,
+    storage: up.storage || null,
+    drivePath: up.drivePath || null,
+    webUrl: up.webUrl || null,
+    thumbUrl: up.thumbUrl || null,
+    destinations: Object.fromEntries(
+      Object.entries(job.destinations || {}).map(([name, d]) => [
+        name,
+        {
+          state: d.state,
+          drivePath: d.drivePath || null,
+          webUrl: d.webUrl || null,
+          thumb: d.thumb?.drivePath || null,
+          preview: d.preview?.drivePath || null,
+        },
+      ])
+    ),
+    duplicateOf: job.duplicateOf?.messageId || null,
+    caption: job.caption || null,
+    tags: job.tags || [],
+    captureTime: job.metadata?.captureTime || null,
+    sentAt: sent.toISOString(),
+    day: `${p.yyyy}-${p.mm}-${p.dd}`,
+    savedAt: prev?.savedAt || nowISO(),
+    updatedAt: nowISO(),
+    lastError: job.state === "failed" ? job.lastError : null,
+  };
+}
+
+function recordCatalog(job) {
+  try {
+    catalog.put(catalogRecord(job));
   } catch (e) {
-    res.status(500).json({ ok: false, error: String(e?.message || e) });
+    log("WARN", "CATALOG_WRITE_FAIL", { ...jobMeta(job), err: String(e?.message || e) });
   }
-});
+}
 
-/* -------------------- Safe LINE send helpers -------------------- */
-async function safeReply(replyToken, messages, meta = {}) {
-  if (!replyToken) return;
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function listFilter(v) {
+  return String(v || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// "group" / "sender": exact id, or part of the display name / folder
+function matchesWho(value, id, ...names) {
+  if (!value) return true;
+  if (id === value) return true;
+  const v = value.toLowerCase();
+  return names.some((n) => n && n.toLowerCase().includes(v));
+}
+
+// day-only bounds compare against the TIMEZONE day, anything else as a timestamp
+function inRange(r, from, to) {
+  if (from && (DAY_RE.test(from) ? r.day < from : r.sentAt < new Date(from).toISOString()))
+    return false;
+  if (to && (DAY_RE.test(to) ? r.day > to : r.sentAt > new Date(to).toISOString()))
+    return false;
+  return true;
+}
+
+function queryCatalog(query = {}) {
+  const types = listFilter(query.type);
+  const statuses = listFilter(query.status);
+  const q = String(query.q || "").trim().toLowerCase();
+  const limit = Math.min(500, Math.max(1, Number(query.limit) || 50));
+  const offset = Math.max(0, Number(query.offset) || 0);
+
+  for (const key of ["from", "to"]) {
+    const v = query[key];
+    if (v && !DAY_RE.test(v) && Number.isNaN(Date.parse(v)))
+      throw Object.assign(new Error(`invalid ${key}: ${v}`), { status: 400 });
+  }
+
+  const rows = catalog
+    .values()
+    .filter(
+      (r) =>
+        matchesWho(query.group, r.chatId, r.groupName, r.sourceFolder) &&
+        matchesWho(query.sender, r.senderId, r.senderName, r.senderFolder) &&
+        (!types.length || types.includes(r.type)) &&
+        (!statuses.length || statuses.includes(r.status)) &&
+        inRange(r, query.from, query.to) &&
+        (!q ||
+          [r.fileName, r.originalName, r.caption, r.drivePath, r.senderName, r.groupName, ...r.tags]
+            .some((v) => v && String(v).toLowerCase().includes(q)))
+    )
+    .sort((a, b) => (a.sentAt < b.sentAt ? 1 : a.sentAt > b.sentAt ? -1 : 0));
+
+  const items = rows.slice(offset, offset + limit);
+  return {
+    total: rows.length,
+    offset,
+    limit,
+    nextOffset: offset + items.length < rows.length ? offset + items.length : null,
+    items,
+  };
+}
+
+function safeEqual(a, b) {
+  const x = crypto.createHash("sha256").update(String(a || "")).digest();
+  const y = crypto.createHash("sha256").update(String(b || "")).digest();
+  return crypto.timingSafeEqual(x, y);
+}
+
+// API is off (404) until API_TOKEN is set
+function requireApiToken(req, res, next) {
+  if (!API_TOKEN) return res.sendStatus(404);
+  const auth = req.get("authorization") || "";
+  const token = auth.startsWith("Bearer ") ? auth.slice(7).trim() : "";
+  if (!token || !safeEqual(token, API_TOKEN)) return res.sendStatus(401);
+  return next();
+}
+
+app.get("/api/uploads", requireApiToken, (req, res) => {
   try {
-    await client.replyMessage(replyToken, messages);
-    log("INFO", "LINE_REPLY_OK", meta);
+    res.json(queryCatalog(req.query));
   } catch (e) {
-    log("ERROR", "LINE_REPLY_FAIL", { ...meta, err: String(e?.message || e) });
+    res.status(e.status || 500).json({ ok: false, error: String(e?.message || e) });
   }
+});
+
+app.get("/api/uploads/:messageId", requireApiToken, (req, res) => {
+  const r = catalog.get(req.params.messageId);
+  if (!r) return res.status(404).json({ ok: false, error: "not found" });
+  return res.json(r);
+});
+
+/* -------------------- Web login (gallery / admin) -------------------- */
+/**
+ * One password form at /login for the browser pages; the password decides the role:
+ *   ADMIN_PASSWORD   -> role "admin"   (/admin + /gallery)
+ *   GALLERY_PASSWORD -> role "gallery" (/gallery only)
+ * Session = "<role>.<expiry>.<hmac>" cookie (GALLERY_SESSION_HOURS); changing
+ * any password logs everyone out.
+ */
+const WEB_COOKIE = "spb_session";
+const WEB_LOGINS = [
+  ["admin", ADMIN_PASSWORD],
+  ["gallery", GALLERY_PASSWORD],
+]; // role, password (first match wins)
+const WEB_ROLES = { gallery: ["gallery", "admin"], admin: ["admin"] }; // page -> roles that may open it
+
+function webSign(value) {
+  return crypto
+    .createHmac("sha256", `web:${WEB_LOGINS.map(([, pw]) => pw).join(":")}`)
+    .update(value)
+    .digest("hex");
 }
 
-/* -------------------- Webhook (stable) -------------------- */
-app.post("/webhook", line.middleware(config), async (req, res) => {
-  const requestId = rid();
-  const t0 = Date.now();
+function readCookie(req, name) {
+  for (const part of String(req.get("cookie") || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i <= 0 || part.slice(0, i).trim() !== name) continue;
+    try {
+      return decodeURIComponent(part.slice(i + 1).trim());
+    } catch {
+      return ""; // malformed %-escape: same as no cookie (logged out)
+    }
+  }
+  return "";
+}
 
-  // Reply fast to prevent LINE retry storms
-  res.sendStatus(200);
+// -> role from a valid, unexpired session cookie, else null
+function webRole(req) {
+  const [role, exp, sig] = readCookie(req, WEB_COOKIE).split(".");
+  if (!role || !exp || Number(exp) <= Date.now()) return null;
+  return safeEqual(sig, webSign(`${role}.${exp}`)) ? role : null;
+}
 
-  const events = req.body?.events || [];
-  const baseUrl = buildPublicBaseUrl(req);
+function webCookie(req, value, maxAgeSec) {
+  const secure = req.secure || req.get("x-forwarded-proto") === "https";
+  return (
+    `${WEB_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Lax; ` +
+    `Max-Age=${maxAgeSec}${secure ? "; Secure" : ""}`
+  );
+}
 
-  log("INFO", "WEBHOOK_RECEIVED", {
-    requestId,
-    events: events.length,
-    baseUrl,
-  });
+function webPageEnabled(page) {
+  return WEB_LOGINS.some(([role, pw]) => pw && WEB_ROLES[page].includes(role));
+}
 
-  for (const event of events) {
-    const evT0 = Date.now();
-
-    const srcType = event?.source?.type;
-    const groupId = event?.source?.groupId;
-    const roomId = event?.source?.roomId;
-    const userId = event?.source?.userId;
-
-    const evMeta = {
-      requestId,
-      eventType: event?.type,
-      messageType: event?.message?.type,
-      srcType,
-      groupTail: groupId ? groupId.slice(-6) : null,
-      roomTail: roomId ? roomId.slice(-6) : null,
-      userTail: userId ? userId.slice(-6) : null,
-    };
+// only ever send people back to our own pages
+function webNext(v) {
+  const next = String(v || "");
+  const pages = Object.keys(WEB_ROLES).filter(webPageEnabled);
+  const own = pages.some((p) => new RegExp(`^/${p}([/?]|$)`).test(next));
+  return own ? next : `/${pages[0] || ""}`;
+}
 
-    try {
-      log("DEBUG", "EVENT_IN", {
-        ...evMeta,
-        source: event.source,
-      });
+// a page is off (404) until a password that opens it is set
+function requireWebLogin(page) {
+  return (req, res, next) => {
+    if (!webPageEnabled(page)) return res.sendStatus(404);
+    if (WEB_ROLES[page].includes(webRole(req))) return next();
+    return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+  };
+}
 
-      // Silent policy for "join"
-      if (event.type === "join") {
-        log("INFO", "EVENT_JOIN_IGNORED", evMeta);
-        continue;
-      }
+function escapeHtml(v) {
+  const map = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+  return String(v ?? "").replace(/[&<>"']/g, (c) => map[c]);
+}
 
-      // follow in private chat
-      if (event.type === "follow") {
-        if (srcType === "user" && event.replyToken) {
-          await safeReply(
-            event.replyToken,
-            [
-              { type: "text", text: "สวัสดีครับ 🙂 SavePhotoBot พร้อมรับไฟล์แล้ว" },
-            ],
-            evMeta
-          );
-        }
-        log("INFO", "EVENT_FOLLOW_HANDLED", { ...evMeta, ms: msSince(evT0) });
-        continue;
-      }
+function webPage(title, body, { crumbs = [], loggedIn = true, refreshSec = 0 } = {}) {
+  const nav = crumbs
+    .map(([href, label]) =>
+      href ? `<a href="${escapeHtml(href)}">${escapeHtml(label)}</a>` : escapeHtml(label)
+    )
+    .join(" › ");
+  return `<!doctype html>
+<html lang="th"><head><meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+${refreshSec ? `<meta http-equiv="refresh" content="${refreshSec}">\n` : ""}<title>${escapeHtml(title)} - SavePhotoBot</title>
+<style>
+body{font-family:system-ui,sans-serif;margin:0 auto;max-width:1200px;padding:16px;color:#222}
+a{color:#0b63c5;text-decoration:none} nav{margin-bottom:12px}
+.grid{display:grid;grid-template-columns:repeat(auto-fill,minmax(160px,1fr));gap:10px}
+.tile{display:block;border:1px solid #ddd;border-radius:6px;overflow:hidden;background:#fafafa}
+.tile img,.tile .icon{display:block;width:100%;height:140px;object-fit:cover;font-size:48px;line-height:140px;text-align:center}
+.tile span{display:block;padding:4px 6px;font-size:12px;color:#444;overflow:hidden;text-overflow:ellipsis;white-space:nowrap}
+form.filters{margin:8px 0 16px} .pager{margin:16px 0}
+table{border-collapse:collapse;margin-bottom:16px} td,th{border:1px solid #ddd;padding:4px 8px;text-align:left;font-size:13px;vertical-align:top}
+.err{color:#c00;white-space:pre-wrap;word-break:break-all}
+</style></head><body>
+${
+    loggedIn
+      ? `<nav>${nav} <form method="post" action="/logout" style="display:inline;float:right"><button>ออกจากระบบ</button></form></nav>`
+      : ""
+  }
+<h2>${escapeHtml(title)}</h2>
+${body}
+</body></html>`;
+}
 
-      if (event.type !== "message") {
-        log("INFO", "EVENT_SKIPPED_NOT_MESSAGE", {
-          ...evMeta,
-          ms: msSince(evT0),
-        });
-        continue;
-      }
+function loginPage(next, error = "") {
+  return webPage(
+    "เข้าสู่ระบบ",
+    `${error ? `<p class="err">${escapeHtml(error)}</p>` : ""}
+<form method="post" action="/login">
+<input type="hidden" name="next" value="${escapeHtml(next)}">
+<input type="password" name="password" placeholder="รหัสผ่าน" autofocus required>
+<button>เข้าสู่ระบบ</button>
+</form>`,
+    { loggedIn: false }
+  );
+}
 
-      const mtype = event.message?.type; // image | video | file | text | ...
-      if (mtype === "video" && !ALLOW_VIDEO) {
-        log("INFO", "EVENT_SKIPPED_VIDEO_DISABLED", {
-          ...evMeta,
-          ms: msSince(evT0),
-        });
-        continue;
-      }
-      if (mtype === "file" && !ALLOW_FILE) {
-        log("INFO", "EVENT_SKIPPED_FILE_DISABLED", {
-          ...evMeta,
-          ms: msSince(evT0),
-        });
-        continue;
-      }
-      if (!["image", "video", "file"].includes(mtype)) {
-        log("INFO", "EVENT_SKIPPED_UNSUPPORTED_TYPE", {
-          ...evMeta,
-          ms: msSince(evT0),
-        });
-        continue;
-      }
+app.get("/login", (req, res) => {
+  if (!WEB_LOGINS.some(([, pw]) => pw)) return res.sendStatus(404);
+  return res.send(loginPage(webNext(req.query.next)));
+});
+
+app.post("/login", express.urlencoded({ extended: false }), (req, res) => {
+  if (!WEB_LOGINS.some(([, pw]) => pw)) return res.sendStatus(404);
+  const next = webNext(req.body?.next);
+  const password = req.body?.password;
+  const role = WEB_LOGINS.find(([, pw]) => pw && safeEqual(password, pw))?.[0];
+  if (!role) {
+    log("WARN", "WEB_LOGIN_FAIL", { ip: req.ip });
+    return res.status(401).send(loginPage(next, "รหัสผ่านไม่ถูกต้อง"));
+  }
+  const exp = String(Date.now() + GALLERY_SESSION_HOURS * 60 * 60 * 1000);
+  res.set(
+    "Set-Cookie",
+    webCookie(req, `${role}.${exp}.${webSign(`${role}.${exp}`)}`, GALLERY_SESSION_HOURS * 60 * 60)
+  );
+  log("INFO", "WEB_LOGIN", { ip: req.ip, role });
+  return res.redirect(303, next);
+});
 
-      const messageId = event.message.id;
+app.post("/logout", (req, res) => {
+  res.set("Set-Cookie", webCookie(req, "", 0));
+  return res.redirect(303, "/login");
+});
 
-      // dedupe by messageId
-      if (seenMessageIds.has(messageId)) {
-        log("WARN", "DEDUPLICATE_IGNORED", { ...evMeta, messageId });
-        continue;
-      }
-      rememberMessageId(messageId);
+/* -------------------- Web gallery -------------------- */
+/**
+ * Browser view over the upload catalog (not the temp dir), behind /login:
+ *   /gallery                              chats with item counts
+ *   /gallery/chat/:source                 senders in one chat
+ *   /gallery/chat/:source/:sender         media grid (?from=&to=&type=&page=)
+ *   /gallery/file/:messageId/:variant     original | thumb | preview, served from
+ *                                         the storage that holds it
+ */
+const GALLERY_PAGE_SIZE = 60;
+const GALLERY_VARIANTS = ["original", "thumb", "preview"];
+const TYPE_ICONS = { image: "🖼️", video: "🎬", audio: "🎤", file: "📄" };
 
-      // ✅ NO day folder
-      const folderName = await getSourceFolder(event); // group_xxx / room_xxx / private
-      const senderFolder = await getSenderFolder(event); // user_<name>_<tail> or user_<tail>
-      const sub = typeSubFolder(mtype);
+const requireGalleryLogin = requireWebLogin("gallery");
 
-      const targetDir = path.join(baseImagesDir, folderName, senderFolder, sub);
-      if (!fs.existsSync(targetDir))
-        fs.mkdirSync(targetDir, { recursive: true });
+function galleryPage(title, body, crumbs = []) {
+  return webPage(title, body, { crumbs: [["/gallery", "ทั้งหมด"], ...crumbs] });
+}
 
-      // Fetch content stream
-      const stream = await client.getMessageContent(messageId);
-      const ct = (stream?.headers?.["content-type"] || "").toLowerCase();
+// items that have a stored copy to show
+function galleryRows() {
+  return catalog.values().filter((r) => r.drivePath);
+}
 
-      // decide filename/ext ✅ (UPDATED)
-      let ext = extFromContentType(ct);
-      if (!ext) ext = "bin";
-      let fileName = "";
+// -> [{ key, count, latest }] newest first
+function groupCatalog(rows, keyOf) {
+  const groups = new Map();
+  for (const r of rows) {
+    const key = keyOf(r);
+    const g = groups.get(key) || { key, count: 0, latest: r };
+    g.count++;
+    if (r.sentAt > g.latest.sentAt) g.latest = r;
+    groups.set(key, g);
+  }
+  return [...groups.values()].sort((a, b) => (a.latest.sentAt < b.latest.sentAt ? 1 : -1));
+}
 
-      if (mtype === "file") {
-        const original = sanitizeFileName(
-          event.message.fileName || `file_${messageId}`
-        );
-        const fromNameExt = getExtFromFileName(original);
-        if (fromNameExt) ext = fromNameExt;
+// where a variant lives: primary destination first, then mirrors
+function catalogFile(r, variant) {
+  const dests = Object.entries(r.destinations || {})
+    .filter(([, d]) => d.state === "done")
+    .sort(([a], [b]) => (b === r.storage) - (a === r.storage));
+  for (const [storage, d] of dests) {
+    const drivePath = variant === "original" ? d.drivePath : d[variant];
+    if (drivePath) return { storage, drivePath };
+  }
+  // dedupe "link" items only point at the first copy
+  if (variant === "original" && r.storage && r.drivePath)
+    return { storage: r.storage, drivePath: r.drivePath };
+  return null;
+}
 
-        // Pretty + keep original name
-        fileName = makePrettyFileName(messageId, "file", ext, original);
-      } else {
-        if (mtype === "video" && (ext === "bin" || !ext)) ext = "mp4";
-        fileName = makePrettyFileName(messageId, mtype, ext);
-      }
+function galleryTile(r, href, label) {
+  const thumb = catalogFile(r, "thumb")
+    ? `<img loading="lazy" alt="" src="/gallery/file/${encodeURIComponent(r.messageId)}/thumb">`
+    : `<span class="icon">${TYPE_ICONS[r.type] || "📦"}</span>`;
+  return `<a class="tile" href="${escapeHtml(href)}" title="${escapeHtml(label)}">${thumb}<span>${escapeHtml(label)}</span></a>`;
+}
 
-      // avoid too-long file names for SharePoint (best-effort)
-      if (fileName.length > 160) {
-        // shorten: keep only pretty base (drop original)
-        fileName = makePrettyFileName(messageId, mtype === "file" ? "file" : mtype, ext);
-      }
-      if (fileName.length > 160) {
-        // ultimate fallback
-        fileName = `${makeFileNamePrefix(messageId)}.${ext}`;
+function sourceTitle(r) {
+  if (r.sourceType === "user") return "แชทส่วนตัว";
+  return r.groupName || r.sourceFolder || "unknown";
+}
+
+app.get("/gallery", requireGalleryLogin, (req, res) => {
+  const chats = groupCatalog(galleryRows(), (r) => r.sourceFolder || "unknown");
+  const body = chats.length
+    ? `<div class="grid">${chats
+        .map((g) =>
+          galleryTile(
+            g.latest,
+            `/gallery/chat/${encodeURIComponent(g.key)}`,
+            `${sourceTitle(g.latest)} (${g.count})`
+          )
+        )
+        .join("")}</div>`
+    : "<p>ยังไม่มีไฟล์ที่บันทึกไว้</p>";
+  res.send(galleryPage("แชท", body));
+});
+
+app.get("/gallery/chat/:source", requireGalleryLogin, (req, res) => {
+  const { source } = req.params;
+  const rows = galleryRows().filter((r) => (r.sourceFolder || "unknown") === source);
+  if (!rows.length) return res.status(404).send(galleryPage("ไม่พบแชทนี้", ""));
+
+  const senders = groupCatalog(rows, (r) => r.senderFolder || "user_unknown");
+  const body = `<div class="grid">${senders
+    .map((g) =>
+      galleryTile(
+        g.latest,
+        `/gallery/chat/${encodeURIComponent(source)}/${encodeURIComponent(g.key)}`,
+        `${g.latest.senderName || g.key} (${g.count})`
+      )
+    )
+    .join("")}</div>`;
+  return res.send(galleryPage(sourceTitle(rows[0]), body, [[null, sourceTitle(rows[0])]]));
+});
+
+app.get("/gallery/chat/:source/:sender", requireGalleryLogin, (req, res) => {
+  const { source, sender } = req.params;
+  const from = DAY_RE.test(req.query.from || "") ? req.query.from : "";
+  const to = DAY_RE.test(req.query.to || "") ? req.query.to : "";
+  const type = TYPE_ICONS[req.query.type] ? req.query.type : "";
+  const page = Math.max(1, Number(req.query.page) || 1);
+
+  const all = galleryRows().filter(
+    (r) =>
+      (r.sourceFolder || "unknown") === source && (r.senderFolder || "user_unknown") === sender
+  );
+  if (!all.length) return res.status(404).send(galleryPage("ไม่พบผู้ส่งนี้", ""));
+
+  const rows = all
+    .filter((r) => (!type || r.type === type) && inRange(r, from, to))
+    .sort((a, b) => (a.sentAt < b.sentAt ? 1 : -1));
+  const pages = Math.max(1, Math.ceil(rows.length / GALLERY_PAGE_SIZE));
+  const items = rows.slice((page - 1) * GALLERY_PAGE_SIZE, page * GALLERY_PAGE_SIZE);
+
+  const qs = (p) =>
+    "?" + new URLSearchParams({ from, to, type, page: String(p) }).toString();
+  const tiles = items
+    .map((r) => {
+      const label = `${r.day} ${r.caption || r.originalName || r.fileName || ""}`;
+      return galleryTile(r, `/gallery/file/${encodeURIComponent(r.messageId)}/original`, label);
+    })
+    .join("");
+
+  const title = all[0].senderName || sender;
+  const body = `<form class="filters">
+ตั้งแต่ <input type="date" name="from" value="${escapeHtml(from)}">
+ถึง <input type="date" name="to" value="${escapeHtml(to)}">
+<select name="type"><option value="">ทุกชนิด</option>${Object.keys(TYPE_ICONS)
+    .map((t) => `<option${t === type ? " selected" : ""}>${t}</option>`)
+    .join("")}</select>
+<button>กรอง</button> (${rows.length} รายการ)
+</form>
+${tiles ? `<div class="grid">${tiles}</div>` : "<p>ไม่มีไฟล์ในช่วงนี้</p>"}
+<div class="pager">${page > 1 ? `<a href="${escapeHtml(qs(page - 1))}">‹ ก่อนหน้า</a> ` : ""}หน้า ${page}/${pages}${
+    page < pages ? ` <a href="${escapeHtml(qs(page + 1))}">ถัดไป ›</a>` : ""
+  }</div>`;
+
+  return res.send(
+    galleryPage(title, body, [
+      [`/gallery/chat/${encodeURIComponent(source)}`, sourceTitle(all[0])],
+      [null, title],
+    ])
+  );
+});
+
+// streams local files, redirects to pre-authorized URLs, proxies the rest
+app.get("/gallery/file/:messageId/:variant", requireGalleryLogin, async (req, res) => {
+  const r = catalog.get(req.params.messageId);
+  const file =
+    r && GALLERY_VARIANTS.includes(req.params.variant)
+      ? catalogFile(r, req.params.variant)
+      : null;
+  const target = file && storages.find((s) => s.name === file.storage);
+  if (!target) return res.sendStatus(404);
+
+  try {
+    const src = await target.download(file.drivePath);
+    if (!src) return res.sendStatus(404);
+    if (src.filePath) {
+      res.set("Cache-Control", "private, max-age=300");
+      return res.sendFile(src.filePath);
+    }
+    if (!src.headers) return res.redirect(src.url);
+
+    const upstream = new AbortController();
+    res.on("close", () => upstream.abort()); // viewer left: stop downloading
+    const out = await fetch(src.url, { headers: src.headers, signal: upstream.signal });
+    if (!out.ok) return res.sendStatus(out.status === 404 ? 404 : 502);
+    res.set("Cache-Control", "private, max-age=300");
+    res.type(
+      out.headers.get("content-type") ||
+        mimeFromExt(path.extname(file.drivePath).slice(1).toLowerCase())
+    );
+    pipeline(Readable.fromWeb(out.body), res, (err) => {
+      if (!err) return;
+      log(upstream.signal.aborted ? "DEBUG" : "WARN", "GALLERY_STREAM_FAIL", {
+        messageId: r.messageId,
+        storage: file.storage,
+        drivePath: file.drivePath,
+        clientClosed: upstream.signal.aborted,
+        err: String(err?.message || err),
+      });
+    });
+  } catch (e) {
+    log("WARN", "GALLERY_FILE_FAIL", {
+      messageId: r.messageId,
+      storage: file.storage,
+      drivePath: file.drivePath,
+      err: String(e?.message || e),
+    });
+    return res.sendStatus(502);
+  }
+});
+
+/* -------------------- Admin dashboard -------------------- */
+/**
+ * /admin (role admin, auto-refresh) and /admin/status (same data as JSON):
+ * upload queue, in-flight uploads, retries scheduled, recent EVENT_FAIL,
+ * today's items per chat, backend retry counters, token state, temp disk use.
+ */
+const ADMIN_FAILURES_KEEP = 50;
+const recentFailures = []; // newest first, since boot
+const DISK_USAGE_TTL_MS = 30_000;
+let diskUsageCache = null; // { at, value }
+
+const requireAdminLogin = requireWebLogin("admin");
+
+function rememberFailure(entry) {
+  recentFailures.unshift({ ts: nowISO(), ...entry });
+  recentFailures.length = Math.min(recentFailures.length, ADMIN_FAILURES_KEEP);
+}
+
+// walk baseImagesDir (cached: the page refreshes often)
+async function tempDiskUsage() {
+  if (diskUsageCache && Date.now() - diskUsageCache.at < DISK_USAGE_TTL_MS)
+    return diskUsageCache.value;
+
+  let files = 0;
+  let bytes = 0;
+  async function walk(dir) {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+    for (const ent of entries) {
+      const p = path.join(dir, ent.name);
+      if (ent.isDirectory()) await walk(p);
+      else if (ent.isFile()) {
+        files++;
+        bytes += (await fs.promises.stat(p).catch(() => ({ size: 0 }))).size;
       }
+    }
+  }
+  await walk(baseImagesDir);
 
-      const filePath = path.join(targetDir, fileName);
-
-      // Save local with limits
-      if (mtype === "video") {
-        try {
-          await saveStreamToFileWithLimit(stream, filePath, MAX_VIDEO_BYTES);
-        } catch (e) {
-          if (String(e?.message || e).includes("TOO_LARGE")) {
-            log("WARN", "VIDEO_TOO_LARGE_SKIPPED", {
-              ...evMeta,
-              messageId,
-              maxMB: MAX_VIDEO_MB,
-            });
-
-            await notifyAdmin(
-              `🚫 ข้ามวิดีโอ (ใหญ่เกิน ${MAX_VIDEO_MB}MB)\n` +
-                `ที่: ${sourceLabel(event)}\n` +
-                `โฟลเดอร์: ${folderName}\n` +
-                `ผู้ส่ง: ${senderFolder}\n` +
-                `ชนิด: ${sub}\n` +
-                `messageId: ${messageId}`,
-              { ...evMeta, messageId }
-            );
-            continue;
-          }
-          throw e;
-        }
-      } else if (mtype === "file") {
-        try {
-          await saveStreamToFileWithLimit(stream, filePath, MAX_FILE_BYTES);
-        } catch (e) {
-          if (String(e?.message || e).includes("TOO_LARGE")) {
-            log("WARN", "FILE_TOO_LARGE_SKIPPED", {
-              ...evMeta,
-              messageId,
-              maxMB: MAX_FILE_MB,
-              fileName,
-            });
-
-            await notifyAdmin(
-              `🚫 ข้ามไฟล์ (ใหญ่เกิน ${MAX_FILE_MB}MB)\n` +
-                `ที่: ${sourceLabel(event)}\n` +
-                `โฟลเดอร์: ${folderName}\n` +
-                `ผู้ส่ง: ${senderFolder}\n` +
-                `ชนิด: ${sub}\n` +
-                `ไฟล์: ${fileName}\n` +
-                `messageId: ${messageId}`,
-              { ...evMeta, messageId }
-            );
-            continue;
-          }
-          throw e;
+  let free = null;
+  try {
+    const st = await fs.promises.statfs(baseImagesDir);
+    free = st.bavail * st.bsize;
+  } catch {
+    // statfs needs Node 18.15+
+  }
+
+  const value = { dir: baseImagesDir, files, bytes, freeBytes: free };
+  diskUsageCache = { at: Date.now(), value };
+  return value;
+}
+
+async function adminStatus() {
+  const jobs = jobJournal.values();
+  const states = {};
+  for (const j of jobs) states[j.state] = (states[j.state] || 0) + 1;
+
+  const today = (() => {
+    const p = dateParts(new Date());
+    return `${p.yyyy}-${p.mm}-${p.dd}`;
+  })();
+  const todayRows = catalog.values().filter((r) => r.day === today);
+  const hourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+  const perChat = groupCatalog(todayRows, (r) => r.sourceFolder || "unknown").map((g) => {
+    const rows = todayRows.filter((r) => (r.sourceFolder || "unknown") === g.key);
+    const byStatus = {};
+    for (const r of rows) byStatus[r.status] = (byStatus[r.status] || 0) + 1;
+    return {
+      source: g.key,
+      title: sourceTitle(g.latest),
+      count: g.count,
+      bytes: rows.reduce((n, r) => n + (r.status === "done" ? r.size || 0 : 0), 0),
+      byStatus,
+    };
+  });
+
+  return {
+    ts: nowISO(),
+    uptimeSec: Math.round(process.uptime()),
+    memoryMB: Math.round(process.memoryUsage().rss / 1024 / 1024),
+    queue: {
+      limiter: uploadLimiter.stats(), // active uploads / waiting for a slot
+      running: runningJobs.size,
+      scheduled: jobTimers.size,
+      states,
+    },
+    inFlight: jobs
+      .filter((j) => j.state === "uploading" || (runningJobs.has(j.id) && !isFinishedJob(j)))
+      .map((j) => ({
+        messageId: j.id,
+        state: j.state,
+        fileName: j.fileName || null,
+        size: j.size || null,
+        attempts: j.attempts,
+        destinations: Object.fromEntries(
+          Object.entries(j.destinations || {}).map(([n, d]) => [n, d.state])
+        ),
+        sinceSec: Math.round((Date.now() - (j.updatedAt || j.createdAt)) / 1000),
+      })),
+    retrying: jobs
+      .filter((j) => !isFinishedJob(j) && j.attempts > 0 && !runningJobs.has(j.id))
+      .map((j) => ({
+        messageId: j.id,
+        attempts: j.attempts,
+        nextAttemptAt: j.nextAttemptAt ? new Date(j.nextAttemptAt).toISOString() : null,
+        lastError: j.lastError,
+      })),
+    failures: recentFailures,
+    throughput: {
+      today,
+      items: todayRows.length,
+      done: todayRows.filter((r) => r.status === "done").length,
+      bytes: perChat.reduce((n, c) => n + c.bytes, 0),
+      lastHour: catalog.values().filter((r) => r.savedAt >= hourAgo).length,
+    },
+    perChat,
+    fetch: fetchStats,
+    token: USES_GRAPH
+      ? {
+          ...tokenStatus,
+          lastAlertAt: undefined,
+          accessTokenValid: !!cachedAccessToken && Date.now() < cachedAccessTokenExp,
         }
-      } else {
-        await saveStreamToFile(stream, filePath);
-      }
+      : null,
+    disk: await tempDiskUsage(),
+  };
+}
 
-      log("INFO", "SAVED_LOCAL", {
-        ...evMeta,
-        messageId,
-        filePath,
-        contentType: ct,
-        senderFolder,
-        ms: msSince(evT0),
-      });
+function formatBytes(n) {
+  if (n === null || n === undefined) return "-";
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let i = 0;
+  while (n >= 1024 && i < units.length - 1) {
+    n /= 1024;
+    i++;
+  }
+  return `${n.toFixed(i ? 1 : 0)} ${units[i]}`;
+}
 
-      // Local view URL (only works if you keep local files; you delete after upload by default)
-      const viewPath =
-        `/images/${encodeURIComponent(folderName)}` +
-        `/${encodeURIComponent(senderFolder)}` +
-        `/${encodeURIComponent(sub)}` +
-        `/${encodeURIComponent(fileName)}`;
-
-      const localViewUrl = IMAGE_VIEW_TOKEN
-        ? `${baseUrl}${viewPath}?token=${encodeURIComponent(IMAGE_VIEW_TOKEN)}`
-        : `${baseUrl}${viewPath}`;
-
-      const contentType = mimeFromExt(ext);
-
-      // Upload with concurrency limit
-      const up = await uploadLimiter(() =>
-        uploadToDrive({
-          folderName: `${folderName}/${senderFolder}/${sub}`,
-          fileName,
-          localFilePath: filePath,
-          contentType,
-        })
-      );
+function htmlTable(headers, rows) {
+  if (!rows.length) return "<p>-</p>";
+  return `<table><tr>${headers.map((h) => `<th>${escapeHtml(h)}</th>`).join("")}</tr>${rows
+    .map((cells) => `<tr>${cells.map((c) => `<td>${c}</td>`).join("")}</tr>`)
+    .join("")}</table>`;
+}
 
-      log("INFO", "UPLOADED_DRIVE", {
-        ...evMeta,
-        drivePath: up.drivePath,
-        webUrl: up.webUrl,
-        size: up.size,
-        senderFolder,
-        ms: msSince(evT0),
-      });
+function adminHtml(st) {
+  const e = escapeHtml;
+  const q = st.queue;
+  const t = st.token;
+  return [
+    `<p>อัปเดต ${e(st.ts)} · uptime ${Math.round(st.uptimeSec / 60)} นาที · RAM ${st.memoryMB} MB · <a href="/admin/status">JSON</a></p>`,
+    `<h3>คิวอัปโหลด</h3>`,
+    htmlTable(
+      ["กำลังอัปโหลด", "รอคิว", "ทำพร้อมกันได้", "jobs กำลังทำ", "รอ retry", "สถานะ jobs"],
+      [
+        [
+          q.limiter.active,
+          q.limiter.waiting,
+          q.limiter.max,
+          q.running,
+          q.scheduled,
+          e(Object.entries(q.states).map(([k, v]) => `${k}: ${v}`).join(", ")),
+        ],
+      ]
+    ),
+    `<h3>กำลังอัปโหลด</h3>`,
+    htmlTable(
+      ["messageId", "ไฟล์", "ขนาด", "ครั้งที่", "ปลายทาง", "นาน (วิ)"],
+      st.inFlight.map((j) => [e(j.messageId), e(j.fileName), formatBytes(j.size), j.attempts,
+        e(Object.entries(j.destinations).map(([n, s]) => `${n}: ${s}`).join(", ")), j.sinceSec])
+    ),
+    `<h3>รอลองใหม่</h3>`,
+    htmlTable(
+      ["messageId", "ครั้งที่", "ครั้งถัดไป", "error"],
+      st.retrying.map((j) => [e(j.messageId), j.attempts, e(j.nextAttemptAt),
+        `<span class="err">${e(String(j.lastError || "").slice(0, 300))}</span>`])
+    ),
+    `<h3>ล้มเหลวล่าสุด (EVENT_FAIL)</h3>`,
+    htmlTable(
+      ["เวลา", "messageId", "ชนิด", "ครั้งที่", "error"],
+      st.failures.map((f) => [e(f.ts), e(f.messageId || "-"), e(f.messageType || "-"),
+        e(f.attempts ?? "-"), `<span class="err">${e(String(f.err).slice(0, 1200))}</span>`])
+    ),
+    `<h3>วันนี้ (${e(st.throughput.today)})</h3>`,
+    `<p>${st.throughput.items} รายการ · สำเร็จ ${st.throughput.done} · ${formatBytes(st.throughput.bytes)} · ชั่วโมงล่าสุด ${st.throughput.lastHour}</p>`,
+    htmlTable(
+      ["แชท", "จำนวน", "ขนาด", "สถานะ"],
+      st.perChat.map((c) => [e(c.title), c.count, formatBytes(c.bytes),
+        e(Object.entries(c.byStatus).map(([k, v]) => `${k}: ${v}`).join(", "))])
+    ),
+    `<h3>HTTP retries (ตั้งแต่เริ่ม)</h3>`,
+    htmlTable(
+      ["backend", "calls", "retries", "gave up"],
+      Object.entries(st.fetch).map(([k, v]) => [e(k), v.calls, v.retries, v.gaveUp])
+    ),
+    `<h3>Microsoft token</h3>`,
+    t
+      ? htmlTable(
+          ["store", "source", "access token", "หมดอายุ", "refresh ล่าสุด", "หมุนล่าสุด", "ล้มเหลวติดกัน", "error"],
+          [
+            [
+              e(t.store),
+              e(t.source || "-"),
+              t.accessTokenValid ? "✅" : "—",
+              e(t.accessTokenExpiresAt || "-"),
+              e(t.lastRefreshAt || "-"),
+              e(t.lastRotatedAt || "-"),
+              t.failures,
+              `<span class="err">${e(t.lastError || "")}</span>`,
+            ],
+          ]
+        )
+      : "<p>ไม่ได้ใช้ Microsoft Graph</p>",
+    `<h3>พื้นที่ไฟล์ชั่วคราว</h3>`,
+    htmlTable(
+      ["โฟลเดอร์", "ไฟล์", "ใช้", "ว่าง"],
+      [[e(st.disk.dir), st.disk.files, formatBytes(st.disk.bytes), formatBytes(st.disk.freeBytes)]]
+    ),
+  ].join("\n");
+}
+
+app.get("/admin", requireAdminLogin, async (req, res) => {
+  try {
+    const st = await adminStatus();
+    res.send(
+      webPage("SavePhotoBot admin", adminHtml(st), {
+        crumbs: [["/admin", "แดชบอร์ด"], ["/gallery", "แกลเลอรี"]],
+        refreshSec: 15,
+      })
+    );
+  } catch (e) {
+    res.status(500).send(escapeHtml(String(e?.message || e)));
+  }
+});
 
-      const kindLabel =
-        mtype === "image" ? "📸 รูป" : mtype === "video" ? "🎬 วิดีโอ" : "📎 ไฟล์";
+app.get("/admin/status", requireAdminLogin, async (req, res) => {
+  try {
+    res.json(await adminStatus());
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
 
-      // Notify admin (silent in group/room)
-      if (srcType === "group" || srcType === "room") {
-        const msg =
-          `${kindLabel} ใหม่ถูกส่งเข้ามา\n` +
-          `ที่: ${sourceLabel(event)}\n` +
-          `โฟลเดอร์: ${folderName}\n` +
-          `ผู้ส่ง: ${senderFolder}\n` +
-          `ชนิด: ${sub}\n` +
-          `ไฟล์: ${fileName}\n` +
-          `SharePoint: ${up.webUrl || "(ลิงก์อาจยังไม่พร้อม แต่ไฟล์อัปโหลดแล้ว)"}\n` +
-          `Local: ${localViewUrl}`;
+/* -------------------- Metrics endpoint -------------------- */
+metrics.gauge("savephotobot_upload_limiter_active", "Uploads holding a limiter slot", () => [
+  { value: uploadLimiter.stats().active },
+]);
+metrics.gauge("savephotobot_upload_limiter_waiting", "Uploads waiting for a limiter slot", () => [
+  { value: uploadLimiter.stats().waiting },
+]);
+metrics.gauge("savephotobot_jobs", "Jobs in data/jobs.jsonl by state", () => {
+  const states = {};
+  for (const j of jobJournal.values()) states[j.state] = (states[j.state] || 0) + 1;
+  return Object.entries(states).map(([state, value]) => ({ labels: { state }, value }));
+});
+metrics.gauge("savephotobot_uptime_seconds", "Process uptime", () => [
+  { value: Math.round(process.uptime()) },
+]);
+
+// open unless METRICS_TOKEN is set (then: Authorization: Bearer <token>)
+app.get("/metrics", (req, res) => {
+  if (!METRICS_ENABLED) return res.sendStatus(404);
+  if (METRICS_TOKEN) {
+    const auth = req.get("authorization") || "";
+    if (!safeEqual(auth.startsWith("Bearer ") ? auth.slice(7).trim() : "", METRICS_TOKEN))
+      return res.sendStatus(401);
+  }
+  res.type("text/plain; version=0.0.4; charset=utf-8");
+  return res.send(metrics.render());
+});
+
+/* -------------------- Webhook (stable) -------------------- */
+// one webhook event; errors are logged, reported and counted, never thrown
+async function handleWebhookEvent(event, { requestId, baseUrl }) {
+  const evT0 = Date.now();
+  const srcType = event?.source?.type;
+  const evMeta = eventMeta(event, requestId);
+  let outcome = "ignored"; // -> savephotobot_webhook_events_total
+
+  try {
+    log("DEBUG", "EVENT_IN", {
+      ...evMeta,
+      source: event.source,
+    });
+
+    // Silent policy for "join"
+    if (event.type === "join") {
+      log("INFO", "EVENT_JOIN_IGNORED", evMeta);
+      return;
+    }
 
-        await notifyAdmin(msg, { ...evMeta, messageId });
-      } else if (srcType === "user" && event.replyToken) {
+    // follow in private chat
+    if (event.type === "follow") {
+      if (srcType === "user" && event.replyToken) {
         await safeReply(
           event.replyToken,
           [
-            {
-              type: "text",
-              text:
-                `✅ บันทึก${
-                  mtype === "image"
-                    ? "รูป"
-                    : mtype === "video"
-                    ? "วิดีโอ"
-                    : "ไฟล์"
-                }แล้วครับ ` + `(อัปโหลดขึ้น ${STORAGE_MODE} แล้ว)`,
-            },
+            { type: "text", text: "สวัสดีครับ 🙂 SavePhotoBot พร้อมรับไฟล์แล้ว" },
           ],
-          { ...evMeta, messageId }
+          evMeta
         );
       }
+      log("INFO", "EVENT_FOLLOW_HANDLED", { ...evMeta, ms: msSince(evT0) });
+      outcome = "handled";
+      return;
+    }
 
-      // Cleanup local
-      if (DELETE_LOCAL_AFTER_UPLOAD) {
-        try {
-          fs.unlinkSync(filePath);
-
-          // remove empty sub/sender/source dirs (best-effort)
-          try {
-            if (
-              fs.existsSync(targetDir) &&
-              fs.readdirSync(targetDir).length === 0
-            )
-              fs.rmdirSync(targetDir);
-          } catch {}
-
-          const senderDir = path.join(baseImagesDir, folderName, senderFolder);
-          try {
-            if (
-              fs.existsSync(senderDir) &&
-              fs.readdirSync(senderDir).length === 0
-            )
-              fs.rmdirSync(senderDir);
-          } catch {}
-
-          const parentDir = path.join(baseImagesDir, folderName);
-          try {
-            if (
-              fs.existsSync(parentDir) &&
-              fs.readdirSync(parentDir).length === 0
-            )
-              fs.rmdirSync(parentDir);
-          } catch {}
-
-          log("INFO", "LOCAL_CLEANUP_OK", { ...evMeta, messageId, senderFolder });
-        } catch (e) {
-          log("WARN", "LOCAL_CLEANUP_FAIL", {
-            ...evMeta,
-            messageId,
-            senderFolder,
-            err: String(e?.message || e),
-          });
-        }
-      }
-
-      log("INFO", "EVENT_DONE", {
+    if (event.type !== "message") {
+      log("INFO", "EVENT_SKIPPED_NOT_MESSAGE", {
         ...evMeta,
-        messageId,
-        senderFolder,
         ms: msSince(evT0),
       });
-    } catch (err) {
-      const msg = String(err?.message || err);
+      return;
+    }
 
-      log("ERROR", "EVENT_FAIL", {
+    const mtype = event.message?.type; // image | video | audio | file | text | ...
+    if (mtype === "video" && !ALLOW_VIDEO) {
+      log("INFO", "EVENT_SKIPPED_VIDEO_DISABLED", {
+        ...evMeta,
+        ms: msSince(evT0),
+      });
+      outcome = "disabled";
+      return;
+    }
+    if (mtype === "audio" && !ALLOW_AUDIO) {
+      log("INFO", "EVENT_SKIPPED_AUDIO_DISABLED", {
+        ...evMeta,
+        ms: msSince(evT0),
+      });
+      outcome = "disabled";
+      return;
+    }
+    if (mtype === "file" && !ALLOW_FILE) {
+      log("INFO", "EVENT_SKIPPED_FILE_DISABLED", {
+        ...evMeta,
+        ms: msSince(evT0),
+      });
+      outcome = "disabled";
+      return;
+    }
+    const captioned =
+      mtype === "text" && CAPTIONS_ENABLED ? await attachCaption(event, evMeta) : 0;
+    if (captioned) outcome = "caption";
+    if (TRANSCRIPT_TYPES.includes(mtype) && transcriptEnabledFor(event)) {
+      await recordTranscriptMessage(event, evMeta);
+      if (!captioned) outcome = "transcript";
+      return;
+    }
+    if (captioned) return;
+    if (!["image", "video", "audio", "file"].includes(mtype)) {
+      log("INFO", "EVENT_SKIPPED_UNSUPPORTED_TYPE", {
         ...evMeta,
-        err: msg,
         ms: msSince(evT0),
       });
+      outcome = "unsupported";
+      return;
+    }
 
-      await notifyAdmin(
-        `❌ SavePhotoBot Error\n` +
-          `req=${requestId}\n` +
-          `event=${event?.type}/${event?.message?.type || "-"}\n` +
-          `src=${srcType}\n` +
-          `err=${msg.slice(0, 1200)}`,
-        evMeta
-      );
+    const messageId = event.message.id;
 
-      continue;
+    // dedupe by messageId (in-memory + persisted jobs)
+    if (seenMessageIds.has(messageId) || jobJournal.has(messageId)) {
+      log("WARN", "DEDUPLICATE_IGNORED", { ...evMeta, messageId });
+      outcome = "duplicate";
+      return;
     }
+    rememberMessageId(messageId);
+
+    enqueueJob(event, { requestId, baseUrl });
+    outcome = "enqueued";
+  } catch (err) {
+    const msg = String(err?.message || err);
+    outcome = "failed";
+
+    log("ERROR", "EVENT_FAIL", {
+      ...evMeta,
+      err: msg,
+      ms: msSince(evT0),
+    });
+    rememberFailure({ ...evMeta, err: msg });
+
+    await notifyAdmin(
+      `❌ SavePhotoBot Error\n` +
+        `req=${requestId}\n` +
+        `event=${event?.type}/${event?.message?.type || "-"}\n` +
+        `src=${srcType}\n` +
+        `err=${msg.slice(0, 1200)}`,
+      evMeta
+    );
+
+    return;
+  } finally {
+    webhookEventsTotal.inc({
+      type: event?.type === "message" ? event.message?.type || "unknown" : event?.type || "unknown",
+      outcome,
+    });
+  }
+}
+
+// captions and transcript lines wait on Graph / LINE calls
+function isTextLikeEvent(event) {
+  const mtype = event?.message?.type;
+  return event?.type === "message" && (mtype === "text" || TRANSCRIPT_TYPES.includes(mtype));
+}
+
+app.post("/webhook", line.middleware(config), async (req, res) => {
+  const requestId = rid();
+  const t0 = Date.now();
+
+  // Reply fast to prevent LINE retry storms (media is persisted as jobs below)
+  res.sendStatus(200);
+
+  const events = req.body?.events || [];
+  const baseUrl = buildPublicBaseUrl(req);
+
+  log("INFO", "WEBHOOK_RECEIVED", {
+    requestId,
+    events: events.length,
+    baseUrl,
+  });
+
+  // media first: every job is persisted before the slow text work of the batch
+  // (which also lets a caption find a photo sent in the same batch)
+  const later = [];
+  for (const event of events) {
+    if (isTextLikeEvent(event)) later.push(event);
+    else await handleWebhookEvent(event, { requestId, baseUrl });
   }
+  for (const event of later) await handleWebhookEvent(event, { requestId, baseUrl });
 
   log("INFO", "WEBHOOK_DONE", { requestId, ms: msSince(t0) });
 });
@@ -1332,10 +6166,44 @@ app.listen(PORT, () => {
     UPLOAD_CONCURRENCY,
     DELETE_LOCAL_AFTER_UPLOAD,
     ALLOW_VIDEO,
+    ALLOW_AUDIO,
     ALLOW_FILE,
     MAX_VIDEO_MB,
+    MAX_AUDIO_MB,
     MAX_FILE_MB,
-    structure: "<root>/<source>/<sender>/<type>/file",
-    fileNaming: "YYYY-MM-DD_HH-mm-ss_{IMG|VID|FILE}_{shortId}[_original].ext",
+    structure: `<root>/${FOLDER_TEMPLATE}/file`,
+    folderTemplateOverrides: Object.keys(FOLDER_TEMPLATE_OVERRIDES).length,
+    fileNaming: `${FILENAME_TEMPLATE}.ext`,
+    imageLinks: `signed ${IMAGE_URL_TTL_SEC}s${IMAGE_URL_SINGLE_USE ? " single-use" : ""}${
+      IMAGE_URL_SECRET ? "" : " (key in DATA_DIR)"
+    }${IMAGE_VIEW_TOKEN ? " + legacy token" : ""}`,
+    UPLOAD_CONFLICT,
+    TIMEZONE,
+    NAME_TIME_SOURCE,
+    DATA_DIR,
+    JOB_RETRY_MAX,
+    DEDUPE_POLICY,
+    DEDUPE_KEEP_DAYS,
+    PHASH_ENABLED,
+    PHASH_THRESHOLD,
+    METADATA_ENABLED,
+    METADATA_SIDECAR,
+    STRIP_GPS,
+    ALBUM_SUBFOLDER,
+    ALBUM_NOTIFY_TIMEOUT_MS,
+    CAPTIONS_ENABLED,
+    CAPTION_WINDOW_SEC,
+    SP_LIST_FIELDS: Object.keys(SP_LIST_FIELDS).length || "off",
+    catalog: catalog.size,
+    api: API_TOKEN ? "/api/uploads" : "off",
+    gallery: GALLERY_PASSWORD || ADMIN_PASSWORD ? "/gallery" : "off",
+    admin: ADMIN_PASSWORD ? "/admin" : "off",
+    metrics: METRICS_ENABLED ? `/metrics${METRICS_TOKEN ? " (token)" : ""}` : "off",
+    TRANSCRIPT_ENABLED,
+    TRANSCRIPT_CHATS: TRANSCRIPT_CHATS.length || "all",
+    THUMBNAILS_ENABLED,
+    thumbs: THUMBNAILS_ENABLED ? `${THUMB_SIZE}/${PREVIEW_SIZE}px ${THUMB_FORMAT}` : "off",
   });
+
+  resumeJobs();
 });
\ No newline at end of file